@@ -1,26 +1,76 @@
-const lang="tr";
-document.documentElement.lang="tr";
-const spotlight=document.getElementById('spotlight');addEventListener('mousemove',e=>{spotlight.style.left=e.clientX+'px';spotlight.style.top=e.clientY+'px';spotlight.style.opacity=1});addEventListener('mouseleave',()=>spotlight.style.opacity=0);
-document.querySelectorAll('.social-card').forEach(card=>card.addEventListener('mousemove',e=>{const r=card.getBoundingClientRect();card.style.setProperty('--mx',(e.clientX-r.left)+'px');card.style.setProperty('--my',(e.clientY-r.top)+'px')}));
+// Hareket azaltma ya da yuksek kontrast tercihinde imlec spotu ve kart parlamasi calismaz.
+const calmMode=matchMedia('(prefers-reduced-motion: reduce), (prefers-contrast: more)');
+const spotlight=document.getElementById('spotlight');addEventListener('mousemove',e=>{if(calmMode.matches)return;spotlight.style.left=e.clientX+'px';spotlight.style.top=e.clientY+'px';spotlight.style.opacity=1});addEventListener('mouseleave',()=>spotlight.style.opacity=0);
+calmMode.addEventListener('change',()=>{if(calmMode.matches)spotlight.style.opacity=0});
+document.querySelectorAll('.social-card').forEach(card=>card.addEventListener('mousemove',e=>{if(calmMode.matches)return;const r=card.getBoundingClientRect();card.style.setProperty('--mx',(e.clientX-r.left)+'px');card.style.setProperty('--my',(e.clientY-r.top)+'px')}));
 
-// Kaydirma calisirken tum ana/panel scrollbarlarini gizle.
-const hiddenScrollbarStyle=document.createElement('style');
-hiddenScrollbarStyle.textContent=`
-html,body,.overlay,.native-panel,.ataturk-panel,.reaction{scrollbar-width:none;-ms-overflow-style:none}
-html::-webkit-scrollbar,body::-webkit-scrollbar,.overlay::-webkit-scrollbar,.native-panel::-webkit-scrollbar,.ataturk-panel::-webkit-scrollbar,.reaction::-webkit-scrollbar{width:0!important;height:0!important;display:none!important}
-`;
-document.head.appendChild(hiddenScrollbarStyle);
-
-const overlay=document.getElementById('overlay'),backdrop=document.getElementById('backdrop'),frame=document.getElementById('frame'),panel=document.getElementById('reactionPanel'),ataturkPanel=document.getElementById('ataturkPanel'),cs2Panel=document.getElementById('cs2Panel'),pcPanel=document.getElementById('pcPanel');function hidePanels(){panel.classList.remove('show');ataturkPanel.classList.remove('show');cs2Panel.classList.remove('show');pcPanel.classList.remove('show');frame.style.display='none';frame.src=''}function showNativePanel(id){hidePanels();const el=document.getElementById(id);if(el){el.classList.add('show');el.style.height='auto';el.style.minHeight='100%';el.style.overflow='visible'}overlay.style.overflowY='auto';overlay.style.overflowX='hidden';overlay.style.webkitOverflowScrolling='touch';overlay.scrollTop=0;overlay.classList.add('open');backdrop.classList.add('open');document.body.style.overflow='hidden'}function closeOverlay(){overlay.classList.remove('open');backdrop.classList.remove('open');document.body.style.overflow='';setTimeout(()=>{overlay.scrollTop=0;hidePanels()},220)}document.querySelectorAll('.native-open').forEach(el=>el.addEventListener('click',()=>showNativePanel(el.dataset.panel)));
-const ataturkLink=document.getElementById('ataturkLink');ataturkLink.onclick=e=>{e.preventDefault();showNativePanel('ataturkPanel')};document.getElementById('closeBtn').onclick=closeOverlay;backdrop.onclick=closeOverlay;addEventListener('keydown',e=>{if(e.key==='Escape')closeOverlay()});
-const reactionLink=document.getElementById('reactionLink'),area=document.getElementById('reactionArea'),start=document.getElementById('reactionStart'),stats=document.getElementById('reactionStats');let round=0,times=[],readyAt=0,timer=null,state='idle';reactionLink.onclick=e=>{e.preventDefault();showNativePanel('reactionPanel')};function nextRound(){state='wait';area.className='reaction-area wait';area.textContent='Bekle...';timer=setTimeout(()=>{state='ready';readyAt=performance.now();area.className='reaction-area ready';area.textContent='ŞİMDİ!'},900+Math.random()*1800)}start.onclick=()=>{clearTimeout(timer);round=0;times=[];stats.textContent='0 / 5 · —';nextRound()};area.onclick=()=>{if(state==='wait'){clearTimeout(timer);area.textContent='Çok erken! Yeniden bekle...';setTimeout(nextRound,700);return}if(state!=='ready')return;times.push(Math.round(performance.now()-readyAt));round++;const avg=Math.round(times.reduce((a,b)=>a+b,0)/times.length);stats.textContent=`${round} / 5 · ${avg} ms`;state='idle';area.className='reaction-area';if(round>=5){area.textContent='Ortalama: '+avg+' ms'}else{area.textContent='Tur '+round+'/5';setTimeout(nextRound,700)}};
-const email=document.getElementById('emailPill'),toast=document.getElementById('toast');email.onclick=e=>{e.preventDefault();navigator.clipboard?.writeText('official.pifo@gmail.com');toast.textContent='Kopyalandı';toast.classList.add('show');setTimeout(()=>toast.classList.remove('show'),1400)};
+// Overlay bir dialog: acilinca odak panel basligina gider, Tab panel icinde doner, kapaninca odak acan ogeye geri doner.
+// Kapaliyken inert + aria-hidden ile klavye ve ekran okuyucudan gizlenir.
+const overlay=document.getElementById('overlay'),backdrop=document.getElementById('backdrop'),frame=document.getElementById('frame');
+const FOCUSABLE='a[href],button,input,select,textarea,iframe,[tabindex]:not([tabindex="-1"])';
+let returnFocus=null;
+function hidePanels(){overlay.querySelectorAll('.show').forEach(el=>el.classList.remove('show'));frame.style.display='none';frame.src=''}
+function setOverlayOpen(open){overlay.classList.toggle('open',open);backdrop.classList.toggle('open',open);overlay.setAttribute('aria-hidden',!open);overlay.inert=!open;document.body.style.overflow=open?'hidden':''}
+function showNativePanel(id){
+  if(!overlay.classList.contains('open')&&document.activeElement!==document.body)returnFocus=document.activeElement;
+  hidePanels();
+  const el=document.getElementById(id);
+  if(el){el.classList.add('show');el.style.height='auto';el.style.minHeight='100%';el.style.overflow='visible';overlay.setAttribute('aria-labelledby',id+'Title')}
+  overlay.style.overflowY='auto';overlay.style.overflowX='hidden';overlay.style.webkitOverflowScrolling='touch';overlay.scrollTop=0;
+  setOverlayOpen(true);
+  const title=document.getElementById(id+'Title');
+  if(title)title.focus({preventScroll:true});
+}
+function closeOverlay(){
+  setOverlayOpen(false);
+  if(returnFocus&&returnFocus.isConnected)returnFocus.focus({preventScroll:true});
+  returnFocus=null;
+  setTimeout(()=>{if(overlay.classList.contains('open'))return;overlay.scrollTop=0;hidePanels()},220);
+}
+function trapFocus(e){
+  const open=overlay.querySelector('.show');
+  const items=[document.getElementById('closeBtn'),...(open?open.querySelectorAll(FOCUSABLE):[])].filter(el=>!el.disabled&&!el.closest('[hidden]'));
+  const first=items[0],last=items[items.length-1];
+  const active=document.activeElement;
+  if(!overlay.contains(active)){e.preventDefault();first.focus()}
+  else if(e.shiftKey&&active===first){e.preventDefault();last.focus()}
+  else if(!e.shiftKey&&active===last){e.preventDefault();first.focus()}
+}
 
-const copyCrosshairInline=document.getElementById('copyCrosshairInline');
-if(copyCrosshairInline){
-  copyCrosshairInline.onclick=async()=>{
-    const code=document.getElementById('crosshairCodeInline').textContent.trim();
-    try{await navigator.clipboard.writeText(code);copyCrosshairInline.textContent='Kopyalandı';setTimeout(()=>copyCrosshairInline.textContent='Kodu kopyala',1400)}
-    catch(_){copyCrosshairInline.textContent='Kopyalanamadı'}
-  };
+// Hash router: #/cs2, #/pc, #/ataturk, #/reaction ilgili paneli acar. Site ici acilislar history'e
+// {pifoRoute:true} ile eklenir; kapatinca bu kayit geri alinir, dogrudan gelinen linkte ise URL temizlenir.
+const ROUTES={cs2:'cs2Panel',pc:'pcPanel',ataturk:'ataturkPanel',reaction:'reactionPanel'};
+function currentRoute(){const m=location.hash.match(/^#\/([\w-]+)\/?$/);return m&&ROUTES[m[1]]?m[1]:null}
+function clearRouteHash(){history.replaceState(null,'',location.pathname+location.search)}
+function applyRoute(){
+  const route=currentRoute();
+  if(route)return showNativePanel(ROUTES[route]);
+  if(location.hash.startsWith('#/'))clearRouteHash();
+  if(overlay.classList.contains('open'))closeOverlay();
 }
+function navigate(route){
+  if(!ROUTES[route]||currentRoute()===route)return;
+  history.pushState({pifoRoute:true},'','#/'+route);
+  applyRoute();
+}
+function requestClose(){
+  if(!currentRoute())return closeOverlay();
+  if(history.state&&history.state.pifoRoute)return history.back();
+  clearRouteHash();closeOverlay();
+}
+addEventListener('hashchange',applyRoute);
+document.querySelectorAll('[data-route]').forEach(el=>el.addEventListener('click',e=>{e.preventDefault();navigate(el.dataset.route)}));
+document.getElementById('closeBtn').onclick=requestClose;backdrop.onclick=requestClose;addEventListener('keydown',e=>{if(!overlay.classList.contains('open'))return;if(e.key==='Escape')requestClose();else if(e.key==='Tab')trapFocus(e)});
+applyRoute();
+
+const email=document.getElementById('emailPill'),toast=document.getElementById('toast');let toastTimer=null;
+// Ayni metin tekrar gelince ekran okuyucu yeniden okusun diye once bosaltilir, metin sonraki karede yazilir.
+function showToast(msg){toast.textContent='';requestAnimationFrame(()=>toast.textContent=msg);toast.classList.add('show');clearTimeout(toastTimer);toastTimer=setTimeout(()=>toast.classList.remove('show'),1400)}
+// Tum kopyala butonlari bunu kullanir; sonuc toast ile bildirilir.
+async function copyText(text){try{await navigator.clipboard.writeText(text);showToast(t('copied'))}catch(_){showToast(t('copyFailed'))}}
+email.onclick=e=>{e.preventDefault();copyText('official.pifo@gmail.com')};
+
+// Paneller dil degisiminde yeniden cizildigi icin buton olayi delegasyonla baglanir.
+document.getElementById('dynamicPanels').addEventListener('click',e=>{
+  if(e.target.closest('#copyCrosshairInline'))copyText(document.getElementById('crosshairCodeInline').textContent.trim());
+});
@@ -0,0 +1,143 @@
+// autoexec.cfg disa/ice aktarma. Ayarlar data.js'teki "cvar" alanlarindan, crosshair Crosshair.toCvars() ile uretilir.
+// Konsol karsiligi olmayan degerler (video ayarlari, DPI, NVIDIA, Windows sens) dosyaya yorum satiri olarak yazilir.
+const Autoexec=(()=>{
+  const cs2=PIFO_DATA.cs2,launch=cs2.groups.find(g=>g.launch).launch;
+  const LAUNCH_RE=/(?:^|\s)\+([A-Za-z_]\w*)\s+("[^"]*"|[^\s"+]+)/g;
+  // Deger atamayan konsol komutlari; karsilastirmada cvar sayilmaz.
+  const COMMANDS=new Set(['exec','bind','unbind','unbindall','alias','echo','host_writeconfig','toggle','incrementvar','say','say_team','connect','map','buy','clear']);
+
+  const unquote=v=>v.replace(/^"(.*)"$/,'$1');
+  const cfgValue=v=>v===true||v==='true'?'1':v===false||v==='false'?'0':String(v);
+
+  function launchCvars(text){
+    return [...text.matchAll(LAUNCH_RE)].map(m=>[m[1].toLowerCase(),unquote(m[2])]);
+  }
+
+  // Grup sirasiyla {title,cvars:[[cvar,deger]],notes:[[ad,deger]]}.
+  function sections(){
+    const calc=Sens.derived();
+    return cs2.groups.filter(g=>!g.launch).map(g=>g.code
+      ?{title:loc(g.title),cvars:Object.entries(Crosshair.toCvars(Crosshair.decode(g.code))).map(([k,v])=>[k,cfgValue(v)]),notes:[]}
+      :{title:loc(g.title),cvars:g.items.filter(it=>it.cvar).map(it=>[it.cvar,cfgValue(it.value)]),
+        notes:g.items.filter(it=>!it.cvar).map(it=>[loc(it.name),it.calc?calc[it.calc]:loc(it.value)])});
+  }
+
+  function cvars(){
+    return new Map([...sections().flatMap(s=>s.cvars),...launchCvars(launch)]);
+  }
+
+  function launchOptions(){return launch+' +exec autoexec'}
+
+  function build(){
+    const out=['// PIFO — CS2 autoexec.cfg',`// ${t('source')} ${cs2.source}`,`// ${t('aeInstall')}`,`// ${t('aeLaunch')} ${launchOptions()}`,`// ${t('aeNotesHint')}`];
+    sections().forEach(s=>{
+      out.push('',`// ${s.title}`);
+      s.cvars.forEach(([k,v])=>out.push(`${k} "${v}"`));
+      s.notes.forEach(([k,v])=>out.push(`// ${k}: ${v}`));
+    });
+    out.push('','echo "PIFO autoexec loaded"','host_writeconfig','');
+    return out.join('\n');
+  }
+
+  // Yapistirilan config ya da baslatma secenekleri satirlarindan cvar -> deger haritasi cikarir; sonra gelen deger oncekini ezer.
+  function parse(text){
+    const found=new Map();
+    String(text).split(/\r?\n/).forEach(line=>{
+      line=line.replace(/\/\/.*$/,'').trim();
+      const set=(k,v)=>{if(!COMMANDS.has(k))found.set(k,v)};
+      if(/^[-+]/.test(line))return launchCvars(line).forEach(([k,v])=>set(k,v));
+      line.split(';').forEach(cmd=>{
+        const m=cmd.trim().match(/^([A-Za-z_][\w.]*)\s+("[^"]*"|\S+)/);
+        if(m)set(m[1].toLowerCase(),cfgValue(unquote(m[2])));
+      });
+    });
+    return found;
+  }
+
+  const same=(a,b)=>a===b||(a.trim()!==''&&b.trim()!==''&&Number(a)===Number(b));
+
+  // Sonuc satirlari once farkli, sonra eksik, en son ayni olanlar olacak sekilde siralanir.
+  function diff(text){
+    const yours=parse(text),pifo=cvars(),order={diff:0,missing:1,same:2};
+    const rows=[...pifo].map(([cvar,value])=>{
+      const mine=yours.get(cvar);
+      return {cvar,pifo:value,yours:mine??null,status:mine==null?'missing':same(mine,value)?'same':'diff'};
+    }).sort((a,b)=>order[a.status]-order[b.status]);
+    return {rows,extra:[...yours.keys()].filter(k=>!pifo.has(k)).length,parsed:yours.size};
+  }
+
+  function download(){
+    const a=document.createElement('a');a.href=URL.createObjectURL(new Blob([build()],{type:'text/plain'}));a.download='autoexec.cfg';a.click();
+    setTimeout(()=>URL.revokeObjectURL(a.href),1000);
+  }
+
+  return {sections,cvars,launchOptions,build,parse,diff,download};
+})();
+
+// Launch Options grubuna disa aktarma ve karsilastirma araci baglanir; yapistirilan metin dil degisiminde korunur.
+(()=>{
+  let view='export',pasted='';
+
+  function group(){return document.querySelector('#cs2Panel [data-group="launch"]')}
+
+  function markup(){
+    return `
+      <div class="autoexec-tool">
+        <div class="autoexec-tabs" role="group">${['export','import'].map(v=>`<button type="button" data-ae-view="${v}" aria-pressed="${v===view}"${v===view?' class="active"':''}>${t(v==='export'?'aeExport':'aeImport')}</button>`).join('')}</div>
+        <div class="autoexec-view" data-ae="export"${view==='export'?'':' hidden'}>
+          <pre class="code-box autoexec-preview" tabindex="0">${esc(Autoexec.build())}</pre>
+          <button class="copy-inline" type="button" data-ae-action="download">${t('aeDownload')}</button>
+          <button class="copy-inline ghost" type="button" data-ae-action="copyCfg">${t('aeCopyCfg')}</button>
+          <button class="copy-inline ghost" type="button" data-ae-action="copyLaunch">${t('aeCopyLaunch')}</button>
+          <p class="autoexec-note">${t('aeLaunchNote')}</p>
+        </div>
+        <div class="autoexec-view" data-ae="import"${view==='import'?'':' hidden'}>
+          <label class="paste-field"><span>${t('aePaste')}</span><textarea data-ae="paste" rows="6" spellcheck="false" placeholder='sensitivity "1.5"&#10;viewmodel_fov "68"'>${esc(pasted)}</textarea></label>
+          <div data-ae="diff"></div>
+        </div>
+      </div>`;
+  }
+
+  function renderDiff(root){
+    const out=root.querySelector('[data-ae="diff"]');
+    if(!pasted.trim()){out.innerHTML='';return}
+    const {rows,extra,parsed}=Autoexec.diff(pasted);
+    if(!parsed){out.innerHTML=`<p class="form-error" role="alert">${t('aeNothing')}</p>`;return}
+    const count=s=>rows.filter(r=>r.status===s).length;
+    out.innerHTML=`
+      <p class="autoexec-summary">${t('aeSummary',{same:count('same'),diff:count('diff'),missing:count('missing'),extra})}</p>
+      <table class="autoexec-diff">
+        <thead><tr><th>cvar</th><th>${t('aeYours')}</th><th>PIFO</th></tr></thead>
+        <tbody>${rows.map(r=>`<tr class="${r.status}"><td>${r.cvar}</td><td>${r.yours==null?'—':esc(r.yours)}</td><td>${esc(r.pifo)}</td></tr>`).join('')}</tbody>
+      </table>`;
+  }
+
+  // Sekme degisiminde arac yeniden cizilmez; odaktaki sekme butonu yerinde kalir.
+  function showView(tool){
+    tool.querySelectorAll('[data-ae-view]').forEach(b=>{b.setAttribute('aria-pressed',b.dataset.aeView===view);b.classList.toggle('active',b.dataset.aeView===view)});
+    tool.querySelectorAll('.autoexec-view').forEach(v=>v.hidden=v.dataset.ae!==view);
+  }
+
+  function onClick(e){
+    const tab=e.target.closest('[data-ae-view]'),btn=e.target.closest('[data-ae-action]');
+    if(tab){view=tab.dataset.aeView;return showView(e.currentTarget)}
+    if(!btn)return;
+    const action=btn.dataset.aeAction;
+    if(action==='download')Autoexec.download();
+    else copyText(action==='copyLaunch'?Autoexec.launchOptions():Autoexec.build());
+  }
+
+  function mount(){
+    const root=group();
+    if(!root)return;
+    root.querySelector('.autoexec-tool')?.remove();
+    root.insertAdjacentHTML('beforeend',markup());
+    const tool=root.querySelector('.autoexec-tool');
+    tool.addEventListener('click',onClick);
+    tool.querySelector('[data-ae="paste"]').addEventListener('input',e=>{pasted=e.target.value;renderDiff(tool)});
+    renderDiff(tool);
+  }
+
+  mount();
+  onLangChange(mount);
+})();
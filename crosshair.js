@@ -0,0 +1,236 @@
+// CS2 crosshair paylasim kodu: cozme/kodlama, canvas onizleme ve Crosshair grubuna baglanan duzenleyici.
+// Kod 18 byte'lik bir dizinin 57 karakterlik alfabeyle yazilmis halidir; ilk byte digerlerinin toplamidir (checksum).
+const Crosshair=(()=>{
+  const DICT='ABCDEFGHJKLMNOPQRSTUVWXYZabcdefhijkmnopqrstuvwxyz23456789',CODE_RE=/^CSGO(-[A-HJ-Za-fh-km-z2-9]{5}){5}$/;
+  const COLORS=[[250,50,50],[50,250,50],[250,250,50],[50,50,250],[50,250,250]];
+  const STYLES=['Default','Default Static','Classic','Classic Dynamic','Classic Static','Legacy'];
+  const BACKGROUNDS={
+    dust2:{sky:['#9fc3de','#e6dcc4'],wall:'#c9a877',shade:'#a8895d',floor:'#b99a6b'},
+    mirage:{sky:['#7fa9d1','#d8d2c2'],wall:'#d9c7a3',shade:'#b5a07a',floor:'#8f7d63'},
+    inferno:{sky:['#8fb6d8','#e3dccb'],wall:'#b9704a',shade:'#8d5238',floor:'#6f7a4a'},
+    nuke:{sky:['#a9bccb','#d7dde2'],wall:'#8d97a0',shade:'#6b747c',floor:'#4d555c'},
+    dark:{sky:['#0b0b0b','#151515'],wall:'#1d1d1d',shade:'#121212',floor:'#0e0e0e'}
+  };
+
+  const toInt8=b=>b>127?b-256:b;
+  const toUint8=n=>(Math.round(n)%256+256)%256;
+  const clamp=(n,min,max)=>Math.min(max,Math.max(min,Number(n)||0));
+
+  function codeToBytes(code){
+    code=String(code).trim();
+    if(!CODE_RE.test(code))throw new Error('format');
+    let n=0n;
+    for(const ch of [...code.slice(5).replace(/-/g,'')].reverse())n=n*57n+BigInt(DICT.indexOf(ch));
+    const bytes=[];
+    for(let i=0;i<18;i++){bytes.unshift(Number(n&255n));n>>=8n}
+    if(n!==0n||checksum(bytes)!==bytes[0])throw new Error('checksum');
+    return bytes;
+  }
+
+  function bytesToCode(bytes){
+    let n=bytes.reduce((acc,b)=>(acc<<8n)|BigInt(b),0n),chars='';
+    for(let i=0;i<25;i++){chars+=DICT[Number(n%57n)];n/=57n}
+    return 'CSGO-'+chars.match(/.{5}/g).join('-');
+  }
+
+  function checksum(bytes){
+    return bytes.slice(1).reduce((a,b)=>a+b,0)%256;
+  }
+
+  function decode(code){
+    const b=codeToBytes(code);
+    return {
+      gap:toInt8(b[2])/10,
+      outline:b[3]/2,
+      red:b[4],green:b[5],blue:b[6],alpha:b[7],
+      splitDistance:b[8]&0x7f,
+      followRecoil:(b[8]&0x80)!==0,
+      fixedGap:toInt8(b[9])/10,
+      color:b[10]&7,
+      outlineEnabled:(b[10]&8)!==0,
+      innerSplitAlpha:(b[10]>>4)/10,
+      outerSplitAlpha:(b[11]&0xf)/10,
+      splitSizeRatio:(b[11]>>4)/10,
+      thickness:b[12]/10,
+      style:(b[13]&0xf)>>1,
+      centerDot:(b[13]&0x10)!==0,
+      deployedWeaponGap:(b[13]&0x20)!==0,
+      alphaEnabled:(b[13]&0x40)!==0,
+      tStyle:(b[13]&0x80)!==0,
+      size:(b[14]|((b[15]&0x1f)<<8))/10
+    };
+  }
+
+  function encode(p){
+    const size=Math.round(clamp(p.size,0,819.1)*10);
+    const bytes=[
+      0,1,
+      toUint8(clamp(p.gap,-12.8,12.7)*10),
+      Math.round(clamp(p.outline,0,127.5)*2),
+      clamp(p.red,0,255)|0,clamp(p.green,0,255)|0,clamp(p.blue,0,255)|0,clamp(p.alpha,0,255)|0,
+      (clamp(p.splitDistance,0,127)|0)|(p.followRecoil?0x80:0),
+      toUint8(clamp(p.fixedGap,-12.8,12.7)*10),
+      (clamp(p.color,0,5)&7)|(p.outlineEnabled?8:0)|(Math.round(clamp(p.innerSplitAlpha,0,1.5)*10)<<4),
+      (Math.round(clamp(p.outerSplitAlpha,0,1.5)*10)&0xf)|(Math.round(clamp(p.splitSizeRatio,0,1.5)*10)<<4),
+      Math.round(clamp(p.thickness,0,25.5)*10),
+      ((clamp(p.style,0,7)|0)<<1)|(p.centerDot?0x10:0)|(p.deployedWeaponGap?0x20:0)|(p.alphaEnabled?0x40:0)|(p.tStyle?0x80:0),
+      size&0xff,(size>>8)&0x1f,
+      0,0
+    ];
+    bytes[0]=checksum(bytes);
+    return bytesToCode(bytes);
+  }
+
+  // Oyunun konsoluna yazilan karsiliklari; autoexec disari aktarimi da bunu kullanir.
+  function toCvars(p){
+    return {
+      cl_crosshairstyle:p.style,
+      cl_crosshairsize:p.size,
+      cl_crosshairthickness:p.thickness,
+      cl_crosshairgap:p.gap,
+      cl_fixedcrosshairgap:p.fixedGap,
+      cl_crosshair_drawoutline:+p.outlineEnabled,
+      cl_crosshair_outlinethickness:p.outline,
+      cl_crosshaircolor:p.color,
+      cl_crosshaircolor_r:p.red,
+      cl_crosshaircolor_g:p.green,
+      cl_crosshaircolor_b:p.blue,
+      cl_crosshairusealpha:+p.alphaEnabled,
+      cl_crosshairalpha:p.alpha,
+      cl_crosshairdot:+p.centerDot,
+      cl_crosshair_t:+p.tStyle,
+      cl_crosshairgap_useweaponvalue:+p.deployedWeaponGap,
+      cl_crosshair_recoil:+p.followRecoil,
+      cl_crosshair_dynamic_splitdist:p.splitDistance,
+      cl_crosshair_dynamic_splitalpha_innermod:p.innerSplitAlpha,
+      cl_crosshair_dynamic_splitalpha_outermod:p.outerSplitAlpha,
+      cl_crosshair_dynamic_maxdist_splitratio:p.splitSizeRatio
+    };
+  }
+
+  function rgba(p){
+    const [r,g,b]=p.color===5||!COLORS[p.color]?[p.red,p.green,p.blue]:COLORS[p.color];
+    return `rgba(${r},${g},${b},${p.alphaEnabled?p.alpha/255:1})`;
+  }
+
+  function drawBackground(ctx,w,h,name){
+    const bg=BACKGROUNDS[name]||BACKGROUNDS.dust2,horizon=h*.42;
+    const sky=ctx.createLinearGradient(0,0,0,horizon);sky.addColorStop(0,bg.sky[0]);sky.addColorStop(1,bg.sky[1]);
+    ctx.fillStyle=sky;ctx.fillRect(0,0,w,horizon);
+    ctx.fillStyle=bg.floor;ctx.fillRect(0,horizon,w,h-horizon);
+    ctx.fillStyle=bg.wall;ctx.fillRect(0,h*.18,w*.34,h*.6);ctx.fillRect(w*.7,h*.26,w*.3,h*.5);
+    ctx.fillStyle=bg.shade;ctx.fillRect(w*.34,h*.3,w*.06,h*.48);ctx.fillRect(w*.12,h*.5,w*.14,h*.28);ctx.fillRect(w*.78,h*.44,w*.1,h*.32);
+  }
+
+  // Canvas 1080p ekranin ortasindan alinmis 1:1 bir kesittir (1 birim ~ 1080/480 px); oyun ici gorunum cozunurluge gore biraz degisir.
+  function draw(canvas,p,background){
+    const ctx=canvas.getContext&&canvas.getContext('2d');
+    if(!ctx)return;
+    const w=canvas.width,h=canvas.height,cx=Math.round(w/2),cy=Math.round(h/2),k=1080/480;
+    drawBackground(ctx,w,h,background);
+    const thick=Math.max(1,Math.round(p.thickness*k)),len=Math.round(p.size*k),gap=Math.round((p.gap+4)*k/2),o=p.outlineEnabled?Math.max(1,Math.round(p.outline)):0;
+    const half=Math.floor(thick/2),rects=[];
+    if(len>0){
+      rects.push([cx+half+gap+1,cy-half,len,thick],[cx-half-gap-len,cy-half,len,thick],[cx-half,cy+half+gap+1,thick,len]);
+      if(!p.tStyle)rects.push([cx-half,cy-half-gap-len,thick,len]);
+    }
+    if(p.centerDot)rects.push([cx-half,cy-half,thick,thick]);
+    if(o){ctx.fillStyle=`rgba(0,0,0,${p.alphaEnabled?p.alpha/255:1})`;rects.forEach(([x,y,rw,rh])=>ctx.fillRect(x-o,y-o,rw+o*2,rh+o*2))}
+    ctx.fillStyle=rgba(p);rects.forEach(r=>ctx.fillRect(...r));
+  }
+
+  return {decode,encode,toCvars,draw,STYLES,BACKGROUNDS};
+})();
+
+// Node'da (node --test) sadece kodlayici yuklenir; DOM tarafi tarayiciya kalir.
+if(typeof module!=='undefined')module.exports=Crosshair;
+
+// Crosshair grubuna onizleme ve duzenleyici baglanir; panel her yeniden cizildiginde mount() tekrar calisir.
+else (()=>{
+  const FIELDS=[
+    {key:'size',min:0,max:10,step:.1},{key:'thickness',min:0,max:6,step:.1},{key:'gap',min:-10,max:10,step:.1},
+    {key:'outline',min:0,max:3,step:.5},{key:'alpha',min:0,max:255,step:1}
+  ];
+  const TOGGLES=['outlineEnabled','centerDot','tStyle','alphaEnabled'];
+  const original=PIFO_DATA.cs2.groups.find(g=>g.code).code;
+  let params=Crosshair.decode(original),background='dust2',error='';
+
+  const hex=n=>Math.round(n).toString(16).padStart(2,'0');
+  const fmt=n=>String(Math.round(n*100)/100);
+  const label=key=>t('crosshair'+key[0].toUpperCase()+key.slice(1));
+
+  function group(){return document.querySelector('#cs2Panel [data-group="crosshair"]')}
+
+  function markup(){
+    return `
+      <div class="crosshair-tool">
+        <div class="crosshair-preview">
+          <canvas class="crosshair-canvas" width="480" height="270" role="img" aria-label="${t('crosshairPreview')}"></canvas>
+          <div class="crosshair-bgs" role="group" aria-label="${t('crosshairBackground')}">${Object.keys(Crosshair.BACKGROUNDS).map(b=>`<button type="button" data-bg="${b}"${b===background?' class="active"':''}>${b==='dark'?t('crosshairDark'):b[0].toUpperCase()+b.slice(1)}</button>`).join('')}</div>
+        </div>
+        <div class="crosshair-editor">
+          <label class="paste-field"><span>${t('crosshairPaste')}</span><input type="text" data-xh="code" spellcheck="false" autocomplete="off" placeholder="CSGO-xxxxx-xxxxx-xxxxx-xxxxx-xxxxx"></label>
+          <p class="form-error" data-xh="error" role="alert"></p>
+          <div class="settings-grid-inline">
+            <label class="setting-inline"><span class="name">${t('crosshairStyle')}</span><select data-xh="style">${Crosshair.STYLES.map((s,i)=>`<option value="${i}">${s}</option>`).join('')}</select></label>
+            ${FIELDS.map(f=>`<label class="setting-inline"><span class="name">${label(f.key)}</span><span class="xh-range"><input type="range" data-xh="${f.key}" min="${f.min}" max="${f.max}" step="${f.step}"><output data-xh-out="${f.key}"></output></span></label>`).join('')}
+            <label class="setting-inline"><span class="name">${t('crosshairColor')}</span><span class="xh-range"><select data-xh="color">${['Red','Green','Yellow','Blue','Cyan','Custom'].map((c,i)=>`<option value="${i}">${t('crosshairColor'+c)}</option>`).join('')}</select><input type="color" data-xh="rgb"></span></label>
+            ${TOGGLES.map(k=>`<label class="setting-inline"><span class="name">${label(k)}</span><input type="checkbox" data-xh="${k}"></label>`).join('')}
+          </div>
+          <div class="code-box" data-xh="result"></div>
+          <button class="copy-inline" type="button" data-xh="copy">${t('copyCode')}</button>
+          <button class="copy-inline ghost" type="button" data-xh="reset">${t('crosshairReset')}</button>
+        </div>
+      </div>`;
+  }
+
+  function sync(){
+    const root=group();
+    if(!root)return;
+    const q=k=>root.querySelector(`[data-xh="${k}"]`);
+    FIELDS.forEach(f=>{q(f.key).value=params[f.key];root.querySelector(`[data-xh-out="${f.key}"]`).textContent=fmt(params[f.key])});
+    TOGGLES.forEach(k=>q(k).checked=params[k]);
+    q('style').value=params.style;q('color').value=params.color;
+    q('rgb').value='#'+hex(params.red)+hex(params.green)+hex(params.blue);q('rgb').disabled=params.color!==5;
+    q('result').textContent=Crosshair.encode(params);
+    q('error').textContent=error;
+    root.querySelectorAll('[data-bg]').forEach(b=>b.classList.toggle('active',b.dataset.bg===background));
+    Crosshair.draw(root.querySelector('.crosshair-canvas'),params,background);
+  }
+
+  function onInput(e){
+    const key=e.target.dataset.xh;
+    if(!key)return;
+    if(key==='code'){
+      const code=e.target.value.trim();
+      if(!code){error='';return sync()}
+      try{params=Crosshair.decode(code);error=''}
+      catch(err){error=t(err.message==='checksum'?'crosshairBadChecksum':'crosshairBadFormat')}
+      return sync();
+    }
+    if(key==='rgb'){const v=e.target.value;params.red=parseInt(v.slice(1,3),16);params.green=parseInt(v.slice(3,5),16);params.blue=parseInt(v.slice(5,7),16)}
+    else if(TOGGLES.includes(key))params[key]=e.target.checked;
+    else params[key]=Number(e.target.value);
+    sync();
+  }
+
+  function onClick(e){
+    const bg=e.target.closest('[data-bg]'),btn=e.target.closest('[data-xh]');
+    if(bg){background=bg.dataset.bg;return sync()}
+    if(!btn)return;
+    if(btn.dataset.xh==='reset'){params=Crosshair.decode(original);error='';group().querySelector('[data-xh="code"]').value='';return sync()}
+    if(btn.dataset.xh==='copy')copyText(Crosshair.encode(params));
+  }
+
+  function mount(){
+    const root=group();
+    if(!root)return;
+    root.insertAdjacentHTML('beforeend',markup());
+    const tool=root.querySelector('.crosshair-tool');
+    tool.addEventListener('input',onInput);tool.addEventListener('change',onInput);tool.addEventListener('click',onClick);
+    sync();
+  }
+
+  mount();
+  onLangChange(()=>{error='';mount()});
+})();
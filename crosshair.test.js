@@ -0,0 +1,29 @@
+// Crosshair paylasim kodu testleri: node --test
+const test=require('node:test');
+const assert=require('node:assert/strict');
+const Crosshair=require('./crosshair.js');
+
+const PIFO='CSGO-V7KbW-JcOtu-ZTRNK-oOTAE-QSDND';
+const CODES=[PIFO,'CSGO-O4Jsi-V36wY-rTMGK-9w7qF-jQ8WB','CSGO-SMCsA-TkuED-Mh3Fb-Rv7qF-i7BYN','CSGO-yLpMj-RhX3e-ykeTS-7fSk3-a3JzN'];
+
+test('encode(decode(code)) geri ayni kodu verir',()=>{
+  CODES.forEach(code=>assert.equal(Crosshair.encode(Crosshair.decode(code)),code));
+});
+
+test('PIFO kodunun alanlari',()=>{
+  const p=Crosshair.decode(PIFO);
+  assert.equal(p.gap,-4.5);
+  assert.equal(p.thickness,0.1);
+  assert.equal(p.size,0.9);
+  assert.equal(p.style,4);
+  assert.equal(p.alphaEnabled,true);
+});
+
+test('bicimi bozuk kod "format" hatasi verir',()=>{
+  ['','CSGO-V7KbW-JcOtu-ZTRNK-oOTAE','csgo-V7KbW-JcOtu-ZTRNK-oOTAE-QSDND','CSGO-V7KbW-JcOtu-ZTRNK-oOTAE-QSDN0'].forEach(code=>
+    assert.throws(()=>Crosshair.decode(code),{message:'format'}));
+});
+
+test('checksum tutmayan kod "checksum" hatasi verir',()=>{
+  assert.throws(()=>Crosshair.decode('CSGO-W7KbW-JcOtu-ZTRNK-oOTAE-QSDND'),{message:'checksum'});
+});
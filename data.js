@@ -0,0 +1,155 @@
+// Sitenin tek veri kaynagi. Ana sayfadaki paneller ve bagimsiz sayfalar (CS2 ayarlari, MyPc) buradan beslenir.
+// Dile gore degisen alanlar {tr,en} nesnesi olarak tutulur ve loc() (i18n.js) ile cozulur.
+// "calc" alani olan ayarlar elle yazilmaz; degerleri sens.js hesaplar. "cvar" alani autoexec.cfg ciktisinda (autoexec.js) kullanilir.
+// PC parcalarinda "power" tahmini en yuksek tuketimdir (W), "stores" ASIN'in bilinen Amazon magazalaridir (parts.js).
+const PIFO_DATA={
+  cs2:{
+    kicker:"Counter Strike 2 · PIFO",
+    title:{tr:"CS2 Ayarlarım",en:"My CS2 Settings"},
+    lead:{tr:"Kullandığım temel mouse, görüntü ve oyun ayarları. Değerler tek dosyanın içinde tutuluyor.",en:"The core mouse, display and game settings I use. All values live in a single file."},
+    source:"https://settings.gg/player/1529450159",
+    groups:[
+      {id:"crosshair",title:"Crosshair",code:"CSGO-V7KbW-JcOtu-ZTRNK-oOTAE-QSDND"},
+      {id:"mouse",title:"Mouse",items:[
+        {id:"dpi",name:"DPI",value:6400,accent:true},
+        {id:"sens",name:"Sensitivity",value:0.22,accent:true,cvar:"sensitivity"},
+        {id:"edpi",name:"eDPI",calc:"edpi"},
+        {id:"cm360",name:"cm/360",calc:"cm360"},
+        {id:"zoomSens",name:"Zoom Sens",value:1,cvar:"zoom_sensitivity_ratio"},
+        {id:"polling",name:"Polling Rate",value:"1000 Hz"},
+        {id:"yaw",name:"m_yaw",value:0.022,cvar:"m_yaw"},
+        {id:"winSens",name:"Windows Sens",value:"3"}
+      ]},
+      {id:"display",title:{tr:"Görüntü",en:"Display"},items:[
+        {id:"resolution",name:{tr:"Çözünürlük",en:"Resolution"},value:"1280×960",accent:true},
+        {id:"aspect",name:{tr:"En-boy oranı",en:"Aspect Ratio"},value:"4:3",accent:true},
+        {id:"scaling",name:"Scaling Mode",value:"Stretched"},
+        {id:"displayMode",name:"Display Mode",value:"Fullscreen"},
+        {id:"refresh",name:"Refresh Rate",value:"240 Hz",accent:true},
+        {id:"brightness",name:"Brightness",value:"106%"}
+      ]},
+      {id:"graphics",title:{tr:"Grafik Ayarları",en:"Graphics"},items:[
+        {id:"playerContrast",name:"Boost Player Contrast",value:"Enabled"},
+        {id:"vsync",name:"Vertical Sync",value:"Disabled"},
+        {id:"msaa",name:"MSAA",value:"4x MSAA"},
+        {id:"shadows",name:"Global Shadows",value:"Low"},
+        {id:"textureDetail",name:"Texture / Model Detail",value:"Very High"},
+        {id:"textureFilter",name:"Texture Filtering",value:"Anisotropic 2X"},
+        {id:"shaderDetail",name:"Shader Detail",value:"Low"},
+        {id:"particleDetail",name:"Particle Detail",value:"Low"},
+        {id:"ao",name:"Ambient Occlusion",value:"Disabled"},
+        {id:"hdr",name:"HDR",value:"Quality"},
+        {id:"fsr",name:"FidelityFX Super Resolution",value:"Disabled"},
+        {id:"reflex",name:"NVIDIA Reflex",value:"Enabled + Boost",accent:true}
+      ]},
+      {id:"viewmodel",title:"Viewmodel",items:[
+        {id:"vmFov",name:"viewmodel_fov",value:"68",accent:true,cvar:"viewmodel_fov"},
+        {id:"vmX",name:"viewmodel_offset_x",value:"2.5",cvar:"viewmodel_offset_x"},
+        {id:"vmY",name:"viewmodel_offset_y",value:"-2",cvar:"viewmodel_offset_y"},
+        {id:"vmZ",name:"viewmodel_offset_z",value:"-2",cvar:"viewmodel_offset_z"}
+      ]},
+      {id:"hud",title:"HUD",items:[
+        {id:"hudScaling",name:"hud_scaling",value:"0.85",cvar:"hud_scaling"},
+        {id:"hudColor",name:"cl_hud_color",value:"6",cvar:"cl_hud_color"},
+        {id:"showLoadout",name:"cl_showloadout",value:"true",cvar:"cl_showloadout"},
+        {id:"safezoneX",name:"safezonex",value:"0.97",cvar:"safezonex"},
+        {id:"safezoneY",name:"safezoney",value:"0.939",cvar:"safezoney"}
+      ]},
+      {id:"radar",title:"Radar",items:[
+        {id:"hudRadarScale",name:"cl_hud_radar_scale",value:"1.3",cvar:"cl_hud_radar_scale"},
+        {id:"radarScale",name:"cl_radar_scale",value:"0.35",cvar:"cl_radar_scale"},
+        {id:"radarRotate",name:"cl_radar_rotate",value:"true",cvar:"cl_radar_rotate"},
+        {id:"radarIconScale",name:"cl_radar_icon_scale_min",value:"0.6",cvar:"cl_radar_icon_scale_min"}
+      ]},
+      {id:"nvidia",title:"NVIDIA",items:[
+        {id:"contrast",name:"Contrast",value:"105"},
+        {id:"gamma",name:"Gamma",value:"1.1"},
+        {id:"vibrance",name:"Digital Vibrance",value:"90",accent:true}
+      ]},
+      {id:"launch",title:"Launch Options",launch:"-console -nojoy -threads 7 -mainthreadpriority 2 +fps_max 0"}
+    ]
+  },
+  pc:{
+    kicker:{tr:"Sistem · PIFO",en:"System · PIFO"},
+    title:{tr:"Bilgisayar Parçalarım",en:"My PC Parts"},
+    lead:{tr:"Kullandığım ana sistem bileşenleri. Kartlara tıklarsan ürün sayfaları yeni sekmede açılır.",en:"The main components of my system. Click a card to open the product page in a new tab."},
+    parts:[
+      {id:"gpu",cat:"GPU",name:"Gigabyte GeForce RTX 3070 Gaming OC 8G",asin:"B08KHL21CV",stores:["de"],img:"gpu.png",power:220,
+        specs:{chip:"GA104",cudaCores:5888,vram:8,memType:"GDDR6",boostClock:1815,tdp:220,psuMin:650}},
+      {id:"cpu",cat:"CPU",name:"AMD Ryzen 5 5600",asin:"B09VCHR1VH",stores:["com"],img:"cpu.png",power:76,
+        specs:{socket:"AM4",cores:6,threads:12,baseClock:3500,boostClock:4400,memType:"DDR4",tdp:65}},
+      {id:"motherboard",cat:{tr:"Anakart",en:"Motherboard"},name:"Gigabyte B550 Gaming X V2",asin:"B08K16S4K1",stores:["co.uk"],img:"motherboard.png",power:35,
+        specs:{socket:"AM4",chipset:"B550",formFactor:"ATX",memType:"DDR4",memSlots:4,maxMemory:128,m2Slots:2}},
+      {id:"ram",cat:"RAM",name:"Lexar Thor 16GB (2×8GB) 3200MHz DDR4",asin:"B0CGR5WY8R",stores:["com"],img:"ram.png",power:6,
+        specs:{memType:"DDR4",capacity:16,modules:2,speed:3200,timings:"CL16-18-18-38",voltage:1.35}},
+      {id:"ssd",cat:"M.2 SSD",name:"Goodram PX600 1TB NVMe M.2 SSD",asin:"B0CB1QBGXW",stores:["co.uk"],img:"ssd.png",power:7,qty:2,
+        specs:{capacity:1000,interface:"PCIe 4.0 x4 NVMe",formFactor:"M.2 2280",read:5000,write:3200}},
+      {id:"cooler",cat:{tr:"İşlemci Soğutucu",en:"CPU Cooler"},name:"Thermalright Assassin X 120 R Digital ARGB",img:"cooler.png",power:4,
+        specs:{fan:120,sockets:["AM4","AM5","LGA1700","LGA1200"]}}
+    ]
+  },
+  ataturk:{
+    kicker:"Mustafa Kemal Atatürk · 1881 — 1938",
+    title:{tr:["Bir imparatorluğun sonundan","bir Cumhuriyetin kuruluşuna."],en:["From the end of an empire","to the founding of a republic."]},
+    lead:{tr:"Mustafa Kemal Atatürk; asker, devlet adamı, düşünce ve reform insanı, Türkiye Cumhuriyeti'nin kurucusu ve ilk Cumhurbaşkanıdır. Hayatı yalnızca savaş meydanlarından ibaret değildir; eğitimden hukuka, ekonomiden kültüre, kadın haklarından dil ve tarih çalışmalarına kadar Türkiye'nin modernleşme sürecinin merkezinde yer almıştır.",en:"Mustafa Kemal Atatürk was a soldier, statesman, thinker and reformer, and the founder and first President of the Republic of Türkiye. His life was not limited to the battlefield: from education to law, from the economy to culture, from women's rights to language and history research, he stood at the centre of Türkiye's modernisation."},
+    eras:[
+      {id:"ottoman",title:{tr:"Osmanlı",en:"Ottoman era"}},
+      {id:"struggle",title:{tr:"Millî Mücadele",en:"War of Independence"}},
+      {id:"republic",title:{tr:"Cumhuriyet",en:"Republic"}},
+      {id:"reforms",title:{tr:"Reformlar",en:"Reforms"}}
+    ],
+    categories:[
+      {id:"military",title:{tr:"Askerî",en:"Military"}},
+      {id:"political",title:{tr:"Siyasî",en:"Political"}},
+      {id:"reform",title:{tr:"Reform",en:"Reform"}}
+    ],
+    facts:[
+      {year:"1881",title:{tr:"Selanik'te doğdu",en:"Born in Salonica"},text:{tr:"Mustafa, Ali Rıza Efendi ile Zübeyde Hanım'ın çocuğu olarak Selanik'te dünyaya geldi. Çok kültürlü bir liman şehri olan Selanik, onun erken yaşta farklı fikirlerle karşılaşmasına ortam hazırladı.",en:"Mustafa was born in Salonica, the son of Ali Rıza Efendi and Zübeyde Hanım. Salonica, a multicultural port city, brought him into contact with many different ideas at an early age."},era:"ottoman",cats:[]},
+      {year:{tr:"1890'lar",en:"1890s"},title:{tr:"Askerî eğitime yöneldi",en:"Turned to military education"},text:{tr:"Selanik Askerî Rüştiyesi'nde matematik öğretmeninin verdiği “Kemal” adıyla Mustafa Kemal olarak anılmaya başladı. Manastır Askerî İdadisi, Harp Okulu ve Harp Akademisi eğitimleri onu kurmay subaylığa hazırladı.",en:"At the Salonica Military Middle School his mathematics teacher gave him the name “Kemal”, and he became known as Mustafa Kemal. The Monastir Military High School, the War College and the Staff College prepared him to become a staff officer."},era:"ottoman",cats:["military"]},
+      {year:"1905",title:{tr:"Kurmay Yüzbaşı",en:"Staff Captain"},text:{tr:"Harp Akademisi'nden mezun oldu. Şam'daki 5. Ordu'da göreve başladı. Osmanlı İmparatorluğu'nun siyasî ve askerî sorunlarını sahada gözlemledi.",en:"He graduated from the Staff College and took up his post with the 5th Army in Damascus, where he saw the political and military problems of the Ottoman Empire first-hand."},era:"ottoman",cats:["military"]},
+      {year:"1911 — 1912",title:{tr:"Trablusgarp",en:"Tripolitania"},text:{tr:"İtalyan işgaline karşı bölgede yerel direnişin örgütlenmesinde görev aldı. Tobruk ve Derne çevresindeki faaliyetleri, onun savaş alanındaki ilk önemli deneyimleri arasındadır.",en:"He helped organise local resistance against the Italian invasion. His actions around Tobruk and Derna were among his first significant experiences on the battlefield."},era:"ottoman",cats:["military"]},
+      {year:"1915",title:{tr:"Çanakkale",en:"Gallipoli"},text:{tr:"19. Tümen komutanı olarak Arıburnu, Conkbayırı ve Anafartalar'da kritik sorumluluklar üstlendi. Çanakkale, onun Osmanlı kamuoyunda geniş ölçekte tanınmasını sağlayan dönüm noktası oldu.",en:"As commander of the 19th Division he carried critical responsibilities at Arıburnu, Conkbayırı and Anafartalar. Gallipoli was the turning point that made him widely known to the Ottoman public."},era:"ottoman",cats:["military"]},
+      {year:"1916 — 1918",title:{tr:"Doğu ve Suriye cepheleri",en:"Eastern and Syrian fronts"},text:{tr:"Kafkas Cephesi'nde Muş ve Bitlis'in geri alınmasında görev aldı; ardından Suriye-Filistin hattında üst düzey komutanlık yaptı. Savaşın sonunda Osmanlı'nın askerî ve siyasî durumunu yakından değerlendirdi.",en:"On the Caucasus front he took part in retaking Muş and Bitlis, then held senior command on the Syria-Palestine line. By the end of the war he had a close view of the Ottoman Empire's military and political situation."},era:"ottoman",cats:["military"]},
+      {year:{tr:"19 Mayıs 1919",en:"19 May 1919"},title:{tr:"Samsun'a çıkış",en:"Landing at Samsun"},text:{tr:"9. Ordu Müfettişi olarak Samsun'a çıktı. Bu tarih, Millî Mücadele'nin örgütlü başlangıcının sembolü kabul edilir.",en:"He landed at Samsun as Inspector of the 9th Army. The date is regarded as the symbolic beginning of the organised National Struggle."},era:"struggle",cats:["military","political"]},
+      {year:"1919",title:"Amasya · Erzurum · Sivas",text:{tr:"Amasya Genelgesi ile millî egemenlik fikrini açık biçimde ortaya koydu. Erzurum ve Sivas kongrelerinde bölgesel direnişlerin ortak bir millî hareket altında birleşmesine öncülük etti.",en:"The Amasya Circular openly set out the idea of national sovereignty. At the Erzurum and Sivas congresses he led the merging of regional resistance groups into one national movement."},era:"struggle",cats:["political"]},
+      {year:{tr:"23 Nisan 1920",en:"23 April 1920"},title:{tr:"Türkiye Büyük Millet Meclisi",en:"Grand National Assembly of Turkey"},text:{tr:"Ankara'da TBMM açıldı. Mustafa Kemal Meclis Başkanı seçildi. Böylece Millî Mücadele, meşruiyetini temsilî bir meclis üzerinden yürütmeye başladı.",en:"The Grand National Assembly opened in Ankara and Mustafa Kemal was elected its Speaker. From then on the National Struggle drew its legitimacy from a representative assembly."},era:"struggle",cats:["political"]},
+      {year:"1921",title:{tr:"Sakarya Meydan Muharebesi",en:"Battle of Sakarya"},text:{tr:"Başkomutan olarak ordunun sevk ve idaresinde belirleyici rol oynadı. Zaferden sonra kendisine Mareşal rütbesi ve Gazi unvanı verildi.",en:"As Commander-in-Chief he played a decisive role in directing the army. After the victory he was given the rank of Marshal and the title of Gazi."},era:"struggle",cats:["military"]},
+      {year:{tr:"26 Ağustos — 9 Eylül 1922",en:"26 August — 9 September 1922"},title:{tr:"Büyük Taarruz",en:"The Great Offensive"},text:{tr:"Başkomutanlık Meydan Muharebesi ile Yunan ordusunun ana kuvvetleri yenildi; Türk ordusu İzmir'e ulaştı. Askerî mücadele fiilen sonuçlandı.",en:"In the Battle of the Commander-in-Chief the main forces of the Greek army were defeated and the Turkish army reached İzmir. The armed struggle was effectively over."},era:"struggle",cats:["military"]},
+      {year:{tr:"24 Temmuz 1923",en:"24 July 1923"},title:{tr:"Lozan Antlaşması",en:"Treaty of Lausanne"},text:{tr:"Yeni Türk devletinin uluslararası alandaki egemenliği ve sınırlarının büyük bölümü Lozan Barış Antlaşması ile tanındı.",en:"The Treaty of Lausanne gave international recognition to the new Turkish state's sovereignty and most of its borders."},era:"struggle",cats:["political"]},
+      {year:{tr:"29 Ekim 1923",en:"29 October 1923"},title:{tr:"Cumhuriyet ilan edildi",en:"The Republic is proclaimed"},text:{tr:"Türkiye Cumhuriyeti ilan edildi ve Mustafa Kemal ilk Cumhurbaşkanı seçildi. Devlet yapısının merkezine millî egemenlik ilkesi yerleştirildi.",en:"The Republic of Türkiye was proclaimed and Mustafa Kemal was elected its first President. National sovereignty was placed at the centre of the state."},era:"republic",cats:["political","reform"]},
+      {year:"1924 — 1937",title:{tr:"Reformlar dönemi",en:"The reform era"},text:{tr:"Eğitim birliği, hukuk sisteminin laikleştirilmesi, yeni Türk harfleri, ölçü ve takvim düzenlemeleri, kadınların siyasî hakları, üniversite reformu ve ekonomik kurumlaşma gibi geniş çaplı dönüşümler hayata geçirildi.",en:"Sweeping changes were put into practice: unified education, a secular legal system, the new Turkish alphabet, new measures and calendar, political rights for women, university reform and economic institution-building."},era:"reforms",cats:["reform"]},
+      {year:"1934",title:{tr:"Atatürk soyadı",en:"The surname Atatürk"},text:{tr:"Soyadı Kanunu'nun ardından Türkiye Büyük Millet Meclisi tarafından Mustafa Kemal'e “Atatürk” soyadı verildi.",en:"Following the Surname Law, the Grand National Assembly of Turkey gave Mustafa Kemal the surname “Atatürk”."},era:"reforms",cats:["reform"]},
+      {year:{tr:"10 Kasım 1938",en:"10 November 1938"},title:{tr:"Dolmabahçe Sarayı",en:"Dolmabahçe Palace"},text:{tr:"İstanbul'da Dolmabahçe Sarayı'nda hayatını kaybetti. 1953'ten bu yana naaşı Ankara'daki Anıtkabir'de bulunmaktadır.",en:"He died at Dolmabahçe Palace in Istanbul. Since 1953 his body has rested at Anıtkabir in Ankara."},era:"republic",cats:[]}
+    ],
+    topics:[
+      {title:{tr:"Millî egemenlik anlayışı",en:"National sovereignty"},text:{tr:"Atatürk'ün siyasî düşüncesinin temelinde, devlet yönetiminin meşruiyetinin hanedan veya kişisel iktidardan değil millet iradesinden gelmesi gerektiği fikri bulunur. “Egemenlik kayıtsız şartsız milletindir” ilkesi bu anlayışın en kısa ifadesidir. TBMM'nin açılması, Cumhuriyetin ilanı ve saltanatın kaldırılması bu dönüşümün kurumsal adımlarıdır.",en:"At the core of Atatürk's political thought is the idea that government draws its legitimacy from the will of the nation, not from a dynasty or personal power. The principle “Sovereignty belongs unconditionally to the nation” is its shortest expression. The opening of the Grand National Assembly, the proclamation of the Republic and the abolition of the sultanate were the institutional steps of this change."}},
+      {title:{tr:"Eğitim, bilim ve akıl",en:"Education, science and reason"},text:{tr:"Atatürk, çağdaşlaşmanın kalıcı olabilmesi için eğitimin merkezî önem taşıdığına inanıyordu. Tevhid-i Tedrisat Kanunu ile eğitim sistemi birleştirildi. Yeni Türk harflerinin kabulüyle okuryazarlığın yaygınlaştırılması hedeflendi. Üniversite reformları, yurt dışından bilim insanlarının Türkiye'ye davet edilmesi ve modern akademik kurumların güçlendirilmesi bu yaklaşımın devamıydı.",en:"Atatürk believed education was central to making modernisation last. The Law on the Unification of Education brought all schooling into a single system. The new Turkish alphabet was adopted to spread literacy. University reform, inviting scientists from abroad to Türkiye and strengthening modern academic institutions continued this approach."}},
+      {title:{tr:"Hukuk ve toplumsal dönüşüm",en:"Law and social change"},text:{tr:"1920'ler ve 1930'larda şer'i ve çok hukuklu yapıdan laik hukuk sistemine geçiş yönünde kapsamlı değişiklikler yapıldı. Türk Medeni Kanunu'nun kabulü; evlilik, boşanma, miras ve aile hukuku alanlarında önemli dönüşümler yarattı. Kadınların belediye seçimlerinden başlayarak milletvekili seçme ve seçilme hakkına uzanan siyasî hakları genişletildi.",en:"In the 1920s and 1930s sweeping changes moved the country from a religious, multi-jurisdictional order to a secular legal system. The Turkish Civil Code transformed marriage, divorce, inheritance and family law. Women's political rights were extended, starting with municipal elections and reaching the right to vote and stand for parliament."}},
+      {title:{tr:"Ekonomi ve devletin yeniden kuruluşu",en:"The economy and rebuilding the state"},text:{tr:"Cumhuriyetin ilk yıllarında ekonomik bağımsızlık, siyasî bağımsızlığın tamamlayıcısı olarak görüldü. İzmir İktisat Kongresi, millî bankacılık girişimleri, demiryollarının geliştirilmesi ve 1930'larda uygulanan devletçilik politikaları; sanayileşme ve altyapı yatırımlarının hızlandırılmasını amaçladı.",en:"In the Republic's early years economic independence was seen as the complement of political independence. The İzmir Economic Congress, national banking initiatives, railway expansion and the statist policies of the 1930s aimed to speed up industrialisation and infrastructure investment."}},
+      {title:{tr:"Dış politika",en:"Foreign policy"},text:{tr:"Atatürk döneminin dış politikası, bağımsızlık ve karşılıklı egemenliğe saygı ilkeleri etrafında şekillendi. Balkan Antantı ve Sadabat Paktı gibi bölgesel iş birliği girişimleriyle barışçı denge siyaseti izlendi. Montrö Boğazlar Sözleşmesi ile Türkiye'nin Boğazlar üzerindeki egemenliği güçlendirildi. Hatay meselesi ise Atatürk'ün son döneminin en önemli diplomatik gündemlerinden biri oldu.",en:"Foreign policy in Atatürk's era was built on independence and mutual respect for sovereignty. Regional cooperation such as the Balkan Entente and the Saadabad Pact supported a peaceful policy of balance. The Montreux Convention strengthened Türkiye's sovereignty over the Straits. The Hatay question was one of the main diplomatic issues of his final years."}},
+      {title:{tr:"Kültür, tarih ve dil",en:"Culture, history and language"},text:{tr:"Türk Tarih Kurumu ve Türk Dil Kurumu'nun kurulması, ulusal kimliğin tarihsel ve kültürel temellerini araştırma isteğinin sonucuydu. Atatürk; sanat, müzik, tiyatro, arkeoloji ve müzeciliği modern toplumun ayrılmaz parçaları olarak görüyordu. Cumhuriyet kültür politikası yalnızca siyasî değil, aynı zamanda toplumsal ve kültürel bir yeniden yapılanmayı hedefliyordu.",en:"The Turkish Historical Society and the Turkish Language Association were founded to research the historical and cultural roots of national identity. Atatürk saw art, music, theatre, archaeology and museums as inseparable parts of a modern society. The Republic's cultural policy aimed at a social and cultural rebuilding, not only a political one."}},
+      {title:{tr:"Kişisel çalışma disiplini",en:"Personal work discipline"},text:{tr:"Yakın çevresinin anıları, Atatürk'ün yoğun okuma alışkanlığına, uzun çalışma saatlerine ve meseleleri farklı uzmanlarla tartışma eğilimine dikkat çeker. Askerî tarih, siyaset, hukuk, ekonomi, sosyoloji, dil ve tarih gibi çok farklı alanlarda kitaplar okudu; çeşitli kitaplara el yazısıyla notlar düştü.",en:"Memoirs of those close to him describe Atatürk's intense reading habits, long working hours and his tendency to talk issues through with different experts. He read widely in military history, politics, law, economics, sociology, language and history, and left handwritten notes in many of his books."}},
+      {title:{tr:"Mirası",en:"Legacy"},text:{tr:"Atatürk'ün bıraktığı en kalıcı miras, Türkiye Cumhuriyeti'nin kurumsal temelleri ve modernleşme yönelimidir. Onun fikirleri ve uygulamaları bugün de tarih, siyaset, toplum ve kültür alanlarında tartışılmaya ve araştırılmaya devam eder. Türkiye'deki kamusal hafızada bağımsızlık mücadelesinin ve Cumhuriyetin kuruluşunun merkezi figürüdür.",en:"Atatürk's most lasting legacy is the institutional foundation of the Republic of Türkiye and its turn toward modernisation. His ideas and policies are still discussed and researched in history, politics, society and culture. In Türkiye's public memory he is the central figure of the struggle for independence and the founding of the Republic."}}
+    ],
+    documents:[
+      {label:{tr:"İstiklal Marşı",en:"Independence March"},author:"Mehmet Âkif Ersoy",paragraphs:[
+        ["Korkma, sönmez bu şafaklarda yüzen al sancak;","Sönmeden yurdumun üstünde tüten en son ocak.","O benim milletimin yıldızıdır, parlayacak;","O benimdir, o benim milletimindir ancak."],
+        ["Çatma, kurban olayım çehreni ey nazlı hilâl!","Kahraman ırkıma bir gül! Ne bu şiddet bu celâl?","Sana olmaz dökülen kanlarımız sonra helâl,","Hakkıdır, Hakk'a tapan, milletimin istiklâl."],
+        ["Ben ezelden beridir hür yaşadım, hür yaşarım.","Hangi çılgın bana zincir vuracakmış? Şaşarım!","Kükremiş sel gibiyim; bendimi çiğner, aşarım;","Yırtarım dağları, enginlere sığmam, taşarım."],
+        ["Garb'ın âfâkını sarmışsa çelik zırhlı duvar;","Benim iman dolu göğsüm gibi serhaddim var.","Ulusun, korkma! Nasıl böyle bir imanı boğar,","“Medeniyet!” dediğin tek dişi kalmış canavar?"],
+        ["Arkadaş! Yurduma alçakları uğratma sakın;","Siper et gövdeni, dursun bu hayâsızca akın.","Doğacaktır sana va'dettiği günler Hakk'ın;","Kim bilir, belki yarın, belki yarından da yakın."],
+        ["Bastığın yerleri “toprak!” diyerek geçme, tanı!","Düşün altındaki binlerce kefensiz yatanı.","Sen şehîd oğlusun, incitme, yazıktır atanı;","Verme, dünyaları alsan da, bu cennet vatanı."],
+        ["Kim bu cennet vatanın uğruna olmaz ki fedâ?","Şühedâ fışkıracak, toprağı sıksan şühedâ!","Cânı, cânânı, bütün varımı alsın da Hudâ,","Etmesin tek vatanımdan beni dünyada cüdâ."],
+        ["Ruhumun senden, İlâhî, şudur ancak emeli:","Değmesin ma'bedimin göğsüne nâ-mahrem eli!","Bu ezanlar-ki şehâdetleri dinin temeli-","Ebedî yurdumun üstünde benim inlemeli."],
+        ["O zaman vecd ile bin secde eder-varsa-taşım;","Her cerîhamdan, İlâhî, boşanıp kanlı yaşım,","Fışkırır rûh-i mücerred gibi yerden na'şım;","O zaman yükselerek Arş'a değer, belki başım."],
+        ["Dalgalan sen de şafaklar gibi ey şanlı hilâl!","Olsun artık dökülen kanlarımın hepsi helâl.","Ebediyen sana yok, ırkıma yok izmihlâl:","Hakkıdır, hür yaşamış, bayrağımın hürriyet;","Hakkıdır, Hakk'a tapan, milletimin istiklâl!"]
+      ]},
+      {label:{tr:"Gençliğe Hitabe",en:"Address to the Youth"},author:"Mustafa Kemal Atatürk",paragraphs:[
+        ["Ey Türk gençliği! Birinci vazifen, Türk istiklâlini, Türk Cumhuriyetini, ilelebet muhafaza ve müdafaa etmektir."],
+        ["Mevcudiyetinin ve istikbalinin yegâne temeli budur. Bu temel, senin en kıymetli hazinendir. İstikbalde dahi, seni bu hazineden mahrum etmek isteyecek, dâhilî ve haricî bedhahların olacaktır. Bir gün, istiklâl ve Cumhuriyeti müdafaa mecburiyetine düşersen, vazifeye atılmak için, içinde bulunacağın vaziyetin imkân ve şeraitini düşünmeyeceksin! Bu imkân ve şerait, çok namüsait bir mahiyette tezahür edebilir. İstiklâl ve Cumhuriyetine kastedecek düşmanlar, bütün dünyada emsali görülmemiş bir galibiyetin mümessili olabilirler. Cebren ve hile ile aziz vatanın bütün kaleleri zapt edilmiş, bütün tersanelerine girilmiş, bütün orduları dağıtılmış ve memleketin her köşesi bilfiil işgal edilmiş olabilir."],
+        ["Bütün bu şeraitten daha elîm ve daha vahim olmak üzere, memleketin dâhilinde iktidara sahip olanlar gaflet ve dalâlet ve hattâ hıyanet içinde bulunabilirler. Hattâ bu iktidar sahipleri şahsî menfaatlerini, müstevlîlerin siyasî emelleriyle tevhit edebilirler. Millet, fakr ü zaruret içinde harap ve bîtap düşmüş olabilir."],
+        ["Ey Türk istikbalinin evlâdı! İşte, bu ahval ve şerait içinde dahi, vazifen; Türk istiklâl ve Cumhuriyetini kurtarmaktır! Muhtaç olduğun kudret, damarlarındaki asil kanda mevcuttur!"]
+      ]}
+    ]
+  }
+};
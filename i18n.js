@@ -0,0 +1,155 @@
+// TR/EN metin katalogu. Sabit metinler data-i18n / data-i18n-html / data-i18n-aria ile, dinamik metinler t() ile cevrilir.
+const I18N={
+  tr:{
+    pageTitle:'PIFO — Counter Strike 2',
+    kicker:'Counter Strike 2 Oyuncusu',
+    heroCopy:'Kendim için <strong>Counter Strike 2</strong> oynuyorum. Kim bilir, belki bir gün <strong>Eternal Fire</strong> için oynarım.',
+    regionLabel:'Bölge',regionValue:'Türkiye',roleLabel:'Rol',
+    email:'E-posta ↗',langLabel:'Dil',
+    socialTitle:'Sosyal Bağlantılar',contentTitle:'Özel İçerik',
+    ataturkAria:'Atatürk hakkında bilgi panelini aç',
+    ataturkName:'Fikirleri <span>yaşamaya devam ediyor.</span>',
+    ataturkCopy:"Türkiye Cumhuriyeti'nin kurucusu Mustafa Kemal Atatürk'e saygıyla. Akıl, bilim, eğitim ve bağımsızlık üzerine bıraktığı miras gelecek nesillere yol göstermeye devam ediyor.",
+    ataturkMore:'Daha fazla bilgi için tıkla',
+    cs2Title:'Counter Strike 2 Ayarları',cs2Desc:'Crosshair, video, sensitivity ve kullandığım diğer oyun ayarları.',
+    pcTitle:'Bilgisayar Parçalarım',pcDesc:'Kullandığım sistem ve çevre birimleri.',
+    reactionDesc:'5, 10 veya 25 turluk refleks testi. Flick ve klavye modları, kişisel rekorlar.',
+    reactionIntroClick:"Başlat'a bas. Alan beyaz olduğunda olabildiğince hızlı tıkla.",
+    reactionIntroFlick:"Başlat'a bas. Hedef alanın rastgele bir yerinde belirince ona olabildiğince hızlı tıkla.",
+    reactionIntroKey:"Başlat'a bas. Alan beyaz olduğunda olabildiğince hızlı Space'e bas.",
+    reactionModeLabel:'Mod',reactionRoundsLabel:'Tur sayısı',reactionModeClick:'Tıklama',reactionModeFlick:'CS2 flick',reactionModeKey:'Klavye (Space)',
+    reactionIdle:'Hazır olduğunda başlat.',reactionStart:'Başlat',
+    reactionWait:'Bekle...',reactionNow:'ŞİMDİ!',reactionNowKey:'ŞİMDİ! (Space)',reactionEarly:'Çok erken! Yeniden bekle...',
+    reactionRound:'Tur {n}/{total}',reactionAverage:'Ortalama: {avg} ms',reactionRoundsCount:'{n} tur',
+    reactionAvg:'Ortalama',reactionMedian:'Medyan',reactionBest:'En iyi',reactionWorst:'En kötü',reactionSd:'Std. sapma',reactionFalseStarts:'Erken tıklama',reactionScore:'Skor',
+    reactionChart:'Tur bazında tepki süreleri',reactionScoreNote:'Skor = ortalama + her erken tıklama için {ms} ms ceza. Düşük olan daha iyi.',
+    reactionShare:'Sonucu paylaş',reactionDownload:'Kartı indir',reactionBoard:'Kişisel rekorlar',reactionBoardEmpty:'Bu mod için henüz kayıtlı sonuç yok.',reactionClear:'Geçmişi temizle',
+    reactionShareText:'PIFO Reaction Test ({mode}, {rounds} tur): skor {score} ms · ortalama {avg} ms · medyan {median} ms · en iyi {best} ms · erken tıklama {falseStarts}.',
+    crosshairPreview:'Crosshair önizlemesi',crosshairBackground:'Önizleme arka planı',crosshairDark:'Karanlık',crosshairPaste:'Kendi kodunu yapıştır',
+    crosshairStyle:'Stil',crosshairSize:'Uzunluk',crosshairThickness:'Kalınlık',crosshairGap:'Boşluk',crosshairOutline:'Kontur kalınlığı',crosshairAlpha:'Alfa',
+    crosshairColor:'Renk',crosshairColorRed:'Kırmızı',crosshairColorGreen:'Yeşil',crosshairColorYellow:'Sarı',crosshairColorBlue:'Mavi',crosshairColorCyan:'Camgöbeği',crosshairColorCustom:'Özel',
+    crosshairOutlineEnabled:'Kontur',crosshairCenterDot:'Orta nokta',crosshairTStyle:'T stili',crosshairAlphaEnabled:'Alfa kullan',
+    crosshairReset:"PIFO'nun koduna dön",crosshairBadFormat:'Geçersiz kod. Biçim: CSGO-xxxxx-xxxxx-xxxxx-xxxxx-xxxxx',crosshairBadChecksum:'Kod bozuk görünüyor (checksum tutmuyor).',
+    sensCalcTitle:'Hassasiyet hesaplayıcı',sensNote:'Dönüşümler 360° dönüş mesafesini (cm/360) korur; FOV farkları hesaba katılmaz.',
+    sensGame:'Oyun',sensValue:'Hassasiyet',sensDpi:'DPI',sensZoom:'Zoom oranı',sensTarget:'Senin DPI değerin',
+    sensCm360:'cm/360',sensInch360:'inç/360',sensEdpi:'CS2 eDPI',sensCopyAll:'Tümünü kopyala',sensReset:"PIFO'nun ayarlarına dön",
+    sensLine:'{game}: {sens} @ {dpi} DPI ({cm} cm/360)',sensZoomLine:' · {cvar} {zoom}',sensInvalid:'DPI ve hassasiyet sıfırdan büyük birer sayı olmalı.',
+    aeExport:'Dışa aktar',aeImport:'İçe aktar / karşılaştır',aeDownload:'autoexec.cfg indir',aeCopyCfg:'Config metnini kopyala',aeCopyLaunch:'Başlatma seçeneklerini kopyala',
+    aeLaunchNote:'Kopyalanan başlatma seçeneklerine +exec autoexec eklenir; dosyayı game/csgo/cfg klasörüne koy.',
+    aeInstall:'Dosyayı Counter-Strike Global Offensive/game/csgo/cfg klasörüne kaydet.',aeLaunch:'Başlatma seçenekleri:',
+    aeNotesHint:'"//" ile başlayan değerlerin konsol karşılığı yok; oyun menüsünden, mouse yazılımından ya da NVIDIA panelinden ayarla.',
+    aePaste:'Kendi config dosyanı ya da başlatma seçeneklerini yapıştır',aeYours:'Senin',aeNothing:'Yapıştırılan metinde cvar bulunamadı.',
+    aeSummary:'{same} aynı · {diff} farklı · {missing} eksik · PIFO\'da olmayan {extra} cvar',
+    searchProduct:"Amazon'da ara",pcPower:'Tahmini tüketim',pcPsu:'Önerilen PSU',pcStorage:'Toplam depolama',pcCount:'Parça',pcChecks:'Uyumluluk kontrolleri',
+    pcPsuNote:'Öneri: toplam tüketim × 1,5 pay, en az ekran kartı üreticisinin önerdiği güç kadar.',checkOk:'Uyumlu',checkFail:'Uyumsuz',
+    checkSocket:'Soket: işlemci {cpu} · anakart {board}',checkMemType:'Bellek tipi: RAM {ram} · anakart {board} · işlemci {cpu}',checkMemSlots:'Bellek yuvası: {used}/{total} dolu',
+    checkMemCapacity:'Bellek kapasitesi: {used} (anakart en fazla {max})',checkM2:'M.2 yuvası: {used}/{total} dolu',checkCooler:'Soğutucu {socket} soketini destekliyor',
+    specChip:'Çip',specCudaCores:'CUDA çekirdeği',specVram:'VRAM',specMemType:'Bellek tipi',specBoostClock:'Boost hızı',specBaseClock:'Temel hız',specTdp:'TDP',specPsuMin:'Üretici PSU önerisi',
+    specSocket:'Soket',specCores:'Çekirdek',specThreads:'İzlek',specChipset:'Yonga seti',specFormFactor:'Form faktörü',specMemSlots:'Bellek yuvası',specMaxMemory:'En fazla bellek',specM2Slots:'M.2 yuvası',
+    specCapacity:'Kapasite',specModules:'Modül',specSpeed:'Hız',specTimings:'Zamanlamalar',specVoltage:'Voltaj',specInterface:'Arayüz',specRead:'Okuma',specWrite:'Yazma',specFan:'Fan',specSockets:'Soket desteği',
+    timelineEras:'Dönemler',timelineYears:'Yıllar',timelineFilter:'Kategori',timelineAll:'Tümü',timelineSearch:'Olaylarda, konularda ve metinlerde ara',
+    timelineResults:'{n} sonuç',timelineEmpty:'Sonuç bulunamadı.',
+    close:'Kapat',copied:'Kopyalandı',copyFailed:'Kopyalanamadı',copyCode:'Kodu kopyala',viewProduct:'Ürünü incele',
+    cs2PageTitle:'CS2 Ayarları — PIFO',cs2PageHeading:'CS2 <span class="accent">Ayarları</span>',source:'Kaynak:',
+    crosshairCode:'Crosshair Kodu',copy:'Kopyala',copiedBang:'Kopyalandı!',
+    pcPageTitle:'Bilgisayar Parçalarım — PIFO',pcPageTag:'Sistemim',pcPageHeading:'Bilgisayar <span class="accent">Parçalarım</span>',
+    pcPageLead:"Bileşenlere tıklayarak Amazon'daki sayfalarına gidebilirsiniz",viewOnAmazon:"Amazon'da incele"
+  },
+  en:{
+    pageTitle:'PIFO — Counter Strike 2',
+    kicker:'Counter Strike 2 Player',
+    heroCopy:'I play <strong>Counter Strike 2</strong> for myself. Who knows, maybe one day I will play for <strong>Eternal Fire</strong>.',
+    regionLabel:'Region',regionValue:'Türkiye',roleLabel:'Role',
+    email:'Email ↗',langLabel:'Language',
+    socialTitle:'Social Links',contentTitle:'Featured Content',
+    ataturkAria:'Open the Atatürk information panel',
+    ataturkName:'His ideas <span>live on.</span>',
+    ataturkCopy:'With respect to Mustafa Kemal Atatürk, founder of the Republic of Türkiye. His legacy of reason, science, education and independence continues to guide future generations.',
+    ataturkMore:'Click to learn more',
+    cs2Title:'Counter Strike 2 Settings',cs2Desc:'Crosshair, video, sensitivity and the other game settings I use.',
+    pcTitle:'My PC Parts',pcDesc:'The system and peripherals I use.',
+    reactionDesc:'A 5, 10 or 25 round reflex test. Flick and keyboard modes, personal bests.',
+    reactionIntroClick:'Press Start. Click as fast as you can when the area turns white.',
+    reactionIntroFlick:'Press Start. Click the target as fast as you can when it appears somewhere in the area.',
+    reactionIntroKey:'Press Start. Hit Space as fast as you can when the area turns white.',
+    reactionModeLabel:'Mode',reactionRoundsLabel:'Rounds',reactionModeClick:'Click',reactionModeFlick:'CS2 flick',reactionModeKey:'Keyboard (Space)',
+    reactionIdle:'Start when you are ready.',reactionStart:'Start',
+    reactionWait:'Wait...',reactionNow:'NOW!',reactionNowKey:'NOW! (Space)',reactionEarly:'Too early! Wait again...',
+    reactionRound:'Round {n}/{total}',reactionAverage:'Average: {avg} ms',reactionRoundsCount:'{n} rounds',
+    reactionAvg:'Average',reactionMedian:'Median',reactionBest:'Best',reactionWorst:'Worst',reactionSd:'Std. dev.',reactionFalseStarts:'False starts',reactionScore:'Score',
+    reactionChart:'Reaction time per round',reactionScoreNote:'Score = average + {ms} ms penalty per false start. Lower is better.',
+    reactionShare:'Share result',reactionDownload:'Download card',reactionBoard:'Personal bests',reactionBoardEmpty:'No saved results for this mode yet.',reactionClear:'Clear history',
+    reactionShareText:'PIFO Reaction Test ({mode}, {rounds} rounds): score {score} ms · average {avg} ms · median {median} ms · best {best} ms · false starts {falseStarts}.',
+    crosshairPreview:'Crosshair preview',crosshairBackground:'Preview background',crosshairDark:'Dark',crosshairPaste:'Paste your own code',
+    crosshairStyle:'Style',crosshairSize:'Size',crosshairThickness:'Thickness',crosshairGap:'Gap',crosshairOutline:'Outline thickness',crosshairAlpha:'Alpha',
+    crosshairColor:'Color',crosshairColorRed:'Red',crosshairColorGreen:'Green',crosshairColorYellow:'Yellow',crosshairColorBlue:'Blue',crosshairColorCyan:'Cyan',crosshairColorCustom:'Custom',
+    crosshairOutlineEnabled:'Outline',crosshairCenterDot:'Center dot',crosshairTStyle:'T-style',crosshairAlphaEnabled:'Use alpha',
+    crosshairReset:"Back to PIFO's code",crosshairBadFormat:'Invalid code. Format: CSGO-xxxxx-xxxxx-xxxxx-xxxxx-xxxxx',crosshairBadChecksum:'The code looks corrupted (checksum mismatch).',
+    sensCalcTitle:'Sensitivity calculator',sensNote:'Conversions keep the same 360° turn distance (cm/360); FOV differences are ignored.',
+    sensGame:'Game',sensValue:'Sensitivity',sensDpi:'DPI',sensZoom:'Zoom ratio',sensTarget:'Your DPI',
+    sensCm360:'cm/360',sensInch360:'in/360',sensEdpi:'CS2 eDPI',sensCopyAll:'Copy all',sensReset:"Back to PIFO's settings",
+    sensLine:'{game}: {sens} @ {dpi} DPI ({cm} cm/360)',sensZoomLine:' · {cvar} {zoom}',sensInvalid:'DPI and sensitivity must both be numbers greater than zero.',
+    aeExport:'Export',aeImport:'Import / compare',aeDownload:'Download autoexec.cfg',aeCopyCfg:'Copy config text',aeCopyLaunch:'Copy launch options',
+    aeLaunchNote:'The copied launch options include +exec autoexec; put the file in the game/csgo/cfg folder.',
+    aeInstall:'Save this file to Counter-Strike Global Offensive/game/csgo/cfg.',aeLaunch:'Launch options:',
+    aeNotesHint:'Values starting with "//" have no console cvar; set them in the game menu, mouse software or NVIDIA control panel.',
+    aePaste:'Paste your own config or launch options',aeYours:'Yours',aeNothing:'No cvars found in the pasted text.',
+    aeSummary:'{same} same · {diff} different · {missing} missing · {extra} cvars PIFO does not set',
+    searchProduct:'Search on Amazon',pcPower:'Estimated draw',pcPsu:'Recommended PSU',pcStorage:'Total storage',pcCount:'Parts',pcChecks:'Compatibility checks',
+    pcPsuNote:'Recommendation: total draw × 1.5 headroom, and at least the wattage the graphics card vendor recommends.',checkOk:'Compatible',checkFail:'Incompatible',
+    checkSocket:'Socket: CPU {cpu} · motherboard {board}',checkMemType:'Memory type: RAM {ram} · motherboard {board} · CPU {cpu}',checkMemSlots:'Memory slots: {used}/{total} used',
+    checkMemCapacity:'Memory capacity: {used} (motherboard max {max})',checkM2:'M.2 slots: {used}/{total} used',checkCooler:'Cooler supports the {socket} socket',
+    specChip:'Chip',specCudaCores:'CUDA cores',specVram:'VRAM',specMemType:'Memory type',specBoostClock:'Boost clock',specBaseClock:'Base clock',specTdp:'TDP',specPsuMin:'Vendor PSU recommendation',
+    specSocket:'Socket',specCores:'Cores',specThreads:'Threads',specChipset:'Chipset',specFormFactor:'Form factor',specMemSlots:'Memory slots',specMaxMemory:'Max memory',specM2Slots:'M.2 slots',
+    specCapacity:'Capacity',specModules:'Modules',specSpeed:'Speed',specTimings:'Timings',specVoltage:'Voltage',specInterface:'Interface',specRead:'Read',specWrite:'Write',specFan:'Fan',specSockets:'Socket support',
+    timelineEras:'Eras',timelineYears:'Years',timelineFilter:'Category',timelineAll:'All',timelineSearch:'Search events, topics and texts',
+    timelineResults:'{n} results',timelineEmpty:'No results found.',
+    close:'Close',copied:'Copied',copyFailed:'Copy failed',copyCode:'Copy code',viewProduct:'View product',
+    cs2PageTitle:'CS2 Settings — PIFO',cs2PageHeading:'CS2 <span class="accent">Settings</span>',source:'Source:',
+    crosshairCode:'Crosshair Code',copy:'Copy',copiedBang:'Copied!',
+    pcPageTitle:'My Computer Parts — PIFO',pcPageTag:'My Build',pcPageHeading:'My Computer <span class="accent">Parts</span>',
+    pcPageLead:'Click a part to open its Amazon page',viewOnAmazon:'View on Amazon'
+  }
+};
+const LANG_KEY='pifo-lang',langListeners=[];
+
+function detectLang(){
+  let saved=null;
+  try{saved=localStorage.getItem(LANG_KEY)}catch(_){}
+  if(I18N[saved])return saved;
+  const nav=(navigator.languages&&navigator.languages[0])||navigator.language||'';
+  return nav.toLowerCase().startsWith('tr')?'tr':'en';
+}
+
+let lang=detectLang();
+
+function t(key,vars){
+  const str=I18N[lang][key]??I18N.tr[key]??key;
+  return vars?str.replace(/\{(\w+)\}/g,(m,k)=>k in vars?vars[k]:m):str;
+}
+
+// Veri alanlari duz metin ya da {tr,en} nesnesi olabilir.
+function loc(v){
+  return v&&typeof v==='object'&&!Array.isArray(v)?(v[lang]??v.tr):v;
+}
+
+function applyI18n(root=document){
+  document.documentElement.lang=lang;
+  root.querySelectorAll('[data-i18n]').forEach(el=>el.textContent=t(el.dataset.i18n));
+  root.querySelectorAll('[data-i18n-html]').forEach(el=>el.innerHTML=t(el.dataset.i18nHtml));
+  root.querySelectorAll('[data-i18n-aria]').forEach(el=>el.setAttribute('aria-label',t(el.dataset.i18nAria)));
+  root.querySelectorAll('[data-lang]').forEach(btn=>{const on=btn.dataset.lang===lang;btn.classList.toggle('active',on);btn.setAttribute('aria-pressed',on)});
+}
+
+function onLangChange(fn){langListeners.push(fn)}
+
+function setLang(next){
+  if(!I18N[next]||next===lang)return;
+  lang=next;
+  try{localStorage.setItem(LANG_KEY,lang)}catch(_){}
+  applyI18n();
+  langListeners.forEach(fn=>fn(lang));
+}
+
+document.querySelectorAll('[data-lang]').forEach(btn=>btn.addEventListener('click',()=>setLang(btn.dataset.lang)));
+applyI18n();
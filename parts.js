@@ -0,0 +1,77 @@
+// PC parcalari: spec tablolari, sistem ozeti (guc / PSU onerisi), uyumluluk kontrolleri ve bolgeye gore Amazon linkleri.
+// Hem panels.js hem de MyPc/index.html bu fonksiyonlarla cizer; DOM'a dokunmaz.
+const Parts=(()=>{
+  const STORES={com:'amazon.com',de:'amazon.de','co.uk':'amazon.co.uk','com.tr':'amazon.com.tr',fr:'amazon.fr',it:'amazon.it',es:'amazon.es',nl:'amazon.nl',pl:'amazon.pl',se:'amazon.se',ca:'amazon.ca','com.au':'amazon.com.au','co.jp':'amazon.co.jp'};
+  const REGIONS={US:'com',TR:'com.tr',DE:'de',AT:'de',CH:'de',GB:'co.uk',IE:'co.uk',FR:'fr',BE:'fr',IT:'it',ES:'es',NL:'nl',PL:'pl',SE:'se',CA:'ca',AU:'com.au',JP:'co.jp'};
+  const LANGS={tr:'com.tr',de:'de',fr:'fr',it:'it',es:'es',nl:'nl',pl:'pl',sv:'se',ja:'co.jp'};
+  const PSU_SIZES=[450,550,650,750,850,1000,1200],PSU_HEADROOM=1.5;
+
+  const parts=PIFO_DATA.pc.parts;
+  const qty=part=>part.qty||1;
+  // Parcalar id ile degil spec alanlariyla bulunur; data.js'te bir parca silinse ya da degisse de ozet ve kontroller calisir.
+  const KINDS={
+    cpu:s=>s.socket&&s.cores,
+    board:s=>s.socket&&s.memSlots,
+    ram:s=>s.memType&&s.modules,
+    drive:s=>s.capacity&&s.read,
+    cooler:s=>Array.isArray(s.sockets)
+  };
+  const ofKind=kind=>parts.filter(p=>p.specs&&KINDS[kind](p.specs));
+  const specsOf=kind=>(ofKind(kind)[0]||{}).specs;
+  const isM2=p=>/M\.2/.test(`${p.specs.formFactor} ${p.specs.interface}`);
+  const size=gb=>gb>=1000?`${gb/1000} TB`:`${gb} GB`;
+  const clock=mhz=>mhz>=1000?`${mhz/1000} GHz`:`${mhz} MHz`;
+  const FORMAT={
+    vram:size,capacity:size,maxMemory:size,baseClock:clock,boostClock:clock,
+    tdp:v=>v+' W',psuMin:v=>v+' W',speed:v=>v+' MT/s',read:v=>v+' MB/s',write:v=>v+' MB/s',voltage:v=>v+' V',fan:v=>v+' mm',
+    sockets:v=>v.join(', ')
+  };
+
+  // Ziyaretcinin dil etiketlerinden (tr-TR, en-GB...) Amazon magazasi; eslesme yoksa null.
+  function visitorStore(){
+    const tags=navigator.languages&&navigator.languages.length?navigator.languages:[navigator.language||''];
+    for(const tag of tags){
+      const [language,region]=tag.split('-');
+      const store=REGIONS[(region||'').toUpperCase()]||LANGS[language.toLowerCase()];
+      if(store)return store;
+    }
+    return null;
+  }
+
+  // ASIN ziyaretcinin magazasinda biliniyorsa urun sayfasi, degilse o magazada arama linki doner.
+  // Magaza belirlenemezse parcanin listelendigi ilk magazaya duser.
+  function link(part,store=visitorStore()){
+    const known=part.stores||[],region=store||known[0]||'com',host=STORES[region];
+    if(part.asin&&known.includes(region))return {url:`https://www.${host}/dp/${part.asin}`,host,search:false};
+    return {url:`https://www.${host}/s?k=${encodeURIComponent(part.name)}`,host,search:true};
+  }
+
+  function specs(part){
+    return Object.entries(part.specs||{}).map(([key,value])=>[t('spec'+key[0].toUpperCase()+key.slice(1)),(FORMAT[key]||String)(value)]);
+  }
+
+  // Toplam guc parca basina tahmini en yuksek tuketimdir; PSU onerisi %50 pay ve ekran karti ureticisinin alt siniridir.
+  function summary(){
+    const power=parts.reduce((sum,p)=>sum+(p.power||0)*qty(p),0);
+    const vendor=Math.max(0,...parts.map(p=>p.specs?.psuMin||0));
+    const psu=Math.max(PSU_SIZES.find(s=>s>=power*PSU_HEADROOM)||PSU_SIZES[PSU_SIZES.length-1],vendor);
+    const storage=ofKind('drive').reduce((sum,p)=>sum+p.specs.capacity*qty(p),0);
+    return {power,psu,storage:size(storage),count:parts.reduce((sum,p)=>sum+qty(p),0)};
+  }
+
+  // Girdilerinden biri eksik olan kontrol atlanir.
+  function checks(){
+    const cpu=specsOf('cpu'),board=specsOf('board'),ram=specsOf('ram'),cooler=specsOf('cooler');
+    const m2=ofKind('drive').filter(isM2).reduce((sum,p)=>sum+qty(p),0);
+    return [
+      [cpu&&board,()=>({ok:cpu.socket===board.socket,text:t('checkSocket',{cpu:cpu.socket,board:board.socket})})],
+      [cpu&&board&&ram,()=>({ok:ram.memType===board.memType&&ram.memType===cpu.memType,text:t('checkMemType',{ram:ram.memType,board:board.memType,cpu:cpu.memType})})],
+      [board&&ram,()=>({ok:ram.modules<=board.memSlots,text:t('checkMemSlots',{used:ram.modules,total:board.memSlots})})],
+      [board&&ram&&ram.capacity&&board.maxMemory,()=>({ok:ram.capacity<=board.maxMemory,text:t('checkMemCapacity',{used:size(ram.capacity),max:size(board.maxMemory)})})],
+      [board&&m2&&board.m2Slots!=null,()=>({ok:m2<=board.m2Slots,text:t('checkM2',{used:m2,total:board.m2Slots})})],
+      [cpu&&cooler,()=>({ok:cooler.sockets.includes(cpu.socket),text:t('checkCooler',{socket:cpu.socket})})]
+    ].filter(([ready])=>ready).map(([,check])=>check());
+  }
+
+  return {STORES,visitorStore,link,specs,summary,checks,qty};
+})();
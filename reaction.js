@@ -0,0 +1,193 @@
+// Reaction test: tiklama, CS2 flick ve klavye modlari; 5/10/25 tur, erken tiklama cezasi ve localStorage skor tablosu.
+(()=>{
+  const HISTORY_KEY='pifo-reaction-history',HISTORY_MAX=50,FALSE_START_PENALTY=50;
+  const area=document.getElementById('reactionArea'),start=document.getElementById('reactionStart'),stats=document.getElementById('reactionStats'),
+    intro=document.getElementById('reactionIntro'),modeSelect=document.getElementById('reactionMode'),roundsSelect=document.getElementById('reactionRounds'),
+    results=document.getElementById('reactionResults'),board=document.getElementById('reactionBoard'),reactionPanel=document.getElementById('reactionPanel'),
+    live=document.getElementById('reactionLive');
+  const MODES={click:{name:'reactionModeClick',intro:'reactionIntroClick'},flick:{name:'reactionModeFlick',intro:'reactionIntroFlick'},key:{name:'reactionModeKey',intro:'reactionIntroKey'}};
+  let mode='click',total=5,times=[],falseStarts=0,readyAt=0,timer=null,state='idle',target=null,last=null;
+
+  function computeStats(list){
+    const sorted=[...list].sort((a,b)=>a-b),n=sorted.length;
+    const avg=list.reduce((a,b)=>a+b,0)/n;
+    const median=n%2?sorted[(n-1)/2]:(sorted[n/2-1]+sorted[n/2])/2;
+    const sd=Math.sqrt(list.reduce((a,b)=>a+(b-avg)**2,0)/n);
+    return {avg:Math.round(avg),median:Math.round(median),best:sorted[0],worst:sorted[n-1],sd:Math.round(sd)};
+  }
+
+  function loadHistory(){
+    try{return JSON.parse(localStorage.getItem(HISTORY_KEY))||[]}catch(_){return []}
+  }
+
+  function saveSession(session){
+    const history=[session,...loadHistory()].slice(0,HISTORY_MAX);
+    try{localStorage.setItem(HISTORY_KEY,JSON.stringify(history))}catch(_){}
+    return history;
+  }
+
+  function personalBests(history){
+    return history.filter(s=>s.mode===mode&&s.rounds===total).sort((a,b)=>a.score-b.score).slice(0,5);
+  }
+
+  function modeName(m){return t(MODES[m].name)}
+
+  function updateStats(){
+    const avg=times.length?Math.round(times.reduce((a,b)=>a+b,0)/times.length)+' ms':'—';
+    stats.textContent=`${times.length} / ${total} · ${avg}`+(falseStarts?` · ${t('reactionFalseStarts')}: ${falseStarts}`:'');
+  }
+
+  function clearTarget(){
+    if(target){target.remove();target=null}
+  }
+
+  function setIdle(text){
+    clearTimeout(timer);clearTarget();state='idle';area.className='reaction-area';area.textContent=text;
+  }
+
+  // Dil degisiminde alan metni durumdan yeniden yazilir; flick hedefi yerinde kalir, sadece etiketi guncellenir.
+  function renderArea(){
+    if(target)return target.setAttribute('aria-label',t('reactionNow'));
+    area.textContent=state==='wait'?t('reactionWait'):state==='penalty'?t('reactionEarly'):state==='ready'?t(mode==='key'?'reactionNowKey':'reactionNow')
+      :last?t('reactionAverage',{avg:last.avg}):times.length?t('reactionRound',{n:times.length,total}):t('reactionIdle');
+  }
+
+  function nextRound(){
+    state='wait';clearTarget();area.className='reaction-area wait';area.textContent=t('reactionWait');
+    timer=setTimeout(()=>{
+      state='ready';readyAt=performance.now();
+      if(mode==='flick'){
+        area.className='reaction-area wait';area.textContent='';
+        target=document.createElement('button');target.type='button';target.className='reaction-target';target.setAttribute('aria-label',t('reactionNow'));
+        target.style.left=(8+Math.random()*84)+'%';target.style.top=(10+Math.random()*80)+'%';
+        area.appendChild(target);
+      }else{
+        area.className='reaction-area ready';area.textContent=mode==='key'?t('reactionNowKey'):t('reactionNow');
+      }
+    },900+Math.random()*1800);
+  }
+
+  function falseStart(){
+    clearTimeout(timer);falseStarts++;state='penalty';
+    area.className='reaction-area';area.textContent=t('reactionEarly');updateStats();
+    timer=setTimeout(nextRound,700);
+  }
+
+  function hit(){
+    times.push(Math.round(performance.now()-readyAt));
+    clearTarget();state='idle';area.className='reaction-area';updateStats();
+    if(times.length>=total)return finish();
+    area.textContent=t('reactionRound',{n:times.length,total});
+    timer=setTimeout(nextRound,700);
+  }
+
+  // Ayni girdi (tiklama ya da tus) hem erken basisi hem de isabeti yonetir.
+  function trigger(onTarget){
+    if(state==='wait')return falseStart();
+    if(state!=='ready')return;
+    if(mode==='flick'&&!onTarget)return;
+    hit();
+  }
+
+  function finish(){
+    const s=computeStats(times);
+    last={...s,mode,rounds:total,falseStarts,score:s.avg+falseStarts*FALSE_START_PENALTY,times:[...times],date:Date.now()};
+    saveSession(last);
+    area.textContent=t('reactionAverage',{avg:s.avg});
+    live.textContent=shareText();
+    renderResults();renderBoard();
+  }
+
+  function renderResults(){
+    if(!last){results.hidden=true;results.innerHTML='';return}
+    const tiles=[['reactionAvg',last.avg+' ms'],['reactionMedian',last.median+' ms'],['reactionBest',last.best+' ms'],['reactionWorst',last.worst+' ms'],
+      ['reactionSd','±'+last.sd+' ms'],['reactionFalseStarts',`${last.falseStarts} (+${last.falseStarts*FALSE_START_PENALTY} ms)`],['reactionScore',last.score+' ms']];
+    const max=Math.max(...last.times);
+    results.innerHTML=`
+      <div class="stat-grid">${tiles.map(([k,v])=>`<div class="stat-tile${k==='reactionScore'?' highlight':''}"><span>${t(k)}</span><strong>${v}</strong></div>`).join('')}</div>
+      <div class="reaction-chart" role="img" aria-label="${t('reactionChart')}">${last.times.map((ms,i)=>`<div class="reaction-bar${ms===last.best?' best':''}" style="height:${Math.max(6,ms/max*100)}%" title="${t('reactionRound',{n:i+1,total:last.rounds})} · ${ms} ms"></div>`).join('')}</div>
+      <p class="reaction-note">${t('reactionScoreNote',{ms:FALSE_START_PENALTY})}</p>
+      <div class="reaction-controls"><button class="btn" type="button" data-share="text">${t('reactionShare')}</button><button class="btn ghost" type="button" data-share="image">${t('reactionDownload')}</button></div>`;
+    results.hidden=false;
+  }
+
+  function renderBoard(){
+    const best=personalBests(loadHistory());
+    board.innerHTML=`
+      <div class="reaction-board-head"><h3>${t('reactionBoard')}</h3><span>${modeName(mode)} · ${t('reactionRoundsCount',{n:total})}</span></div>
+      ${best.length?`<ol>${best.map(s=>`<li${last&&s.date===last.date?' class="current"':''}><strong>${s.score} ms</strong><span>${t('reactionAvg')} ${s.avg} · ${t('reactionBest')} ${s.best} · ${t('reactionFalseStarts')} ${s.falseStarts}</span><time>${new Date(s.date).toLocaleDateString(lang)}</time></li>`).join('')}</ol>`
+        :`<p class="reaction-note">${t('reactionBoardEmpty')}</p>`}
+      ${loadHistory().length?`<button class="copy-inline" type="button" data-clear-history>${t('reactionClear')}</button>`:''}`;
+  }
+
+  function shareText(){
+    return t('reactionShareText',{score:last.score,avg:last.avg,median:last.median,best:last.best,mode:modeName(last.mode),rounds:last.rounds,falseStarts:last.falseStarts});
+  }
+
+  async function shareResult(){
+    const text=shareText()+' '+location.origin+location.pathname+'#/reaction';
+    if(!navigator.share)return copyText(text);
+    try{await navigator.share({text})}catch(_){}
+  }
+
+  function downloadCard(){
+    const c=document.createElement('canvas');c.width=1200;c.height=630;
+    const ctx=c.getContext('2d');
+    if(!ctx)return;
+    ctx.fillStyle='#050505';ctx.fillRect(0,0,c.width,c.height);
+    ctx.strokeStyle='#2f2f2f';ctx.strokeRect(24,24,c.width-48,c.height-48);
+    ctx.fillStyle='#777';ctx.font='600 26px ui-monospace,monospace';ctx.fillText(`PIFO · REACTION TEST · ${modeName(last.mode).toUpperCase()} · ${t('reactionRoundsCount',{n:last.rounds}).toUpperCase()}`,70,100);
+    ctx.fillStyle='#fff';ctx.font='900 190px Inter,system-ui,sans-serif';ctx.fillText(last.score+' ms',64,320);
+    ctx.fillStyle='#aaa';ctx.font='500 34px Inter,system-ui,sans-serif';
+    [[t('reactionAvg'),last.avg],[t('reactionMedian'),last.median],[t('reactionBest'),last.best],[t('reactionWorst'),last.worst]].forEach(([k,v],i)=>ctx.fillText(`${k}: ${v} ms`,70+(i%2)*520,420+Math.floor(i/2)*60));
+    ctx.fillText(`${t('reactionSd')}: ±${last.sd} ms · ${t('reactionFalseStarts')}: ${last.falseStarts}`,70,560);
+    c.toBlob(blob=>{
+      if(!blob)return;
+      const a=document.createElement('a');a.href=URL.createObjectURL(blob);a.download=`pifo-reaction-${last.score}ms.png`;a.click();
+      setTimeout(()=>URL.revokeObjectURL(a.href),1000);
+    });
+  }
+
+  function applyOptions(){
+    mode=modeSelect.value;total=+roundsSelect.value;
+    intro.dataset.i18n=MODES[mode].intro;intro.textContent=t(intro.dataset.i18n);
+    times=[];falseStarts=0;last=null;live.textContent='';
+    setIdle(t('reactionIdle'));updateStats();renderResults();renderBoard();
+  }
+
+  // Panel gizlenince (overlay kapanir ya da baska panele gecilir) suren test iptal edilir; biten testin sonucu kalir.
+  function abort(){
+    if(last||(state==='idle'&&!times.length))return;
+    times=[];falseStarts=0;setIdle(t('reactionIdle'));updateStats();
+  }
+
+  start.onclick=()=>{
+    clearTimeout(timer);times=[];falseStarts=0;last=null;live.textContent='';
+    renderResults();updateStats();nextRound();
+    if(mode==='key')area.focus();
+  };
+  area.addEventListener('pointerdown',e=>{if(mode!=='key')trigger(e.target===target)});
+  addEventListener('keydown',e=>{
+    if(mode!=='key'||!reactionPanel.classList.contains('show')||e.repeat)return;
+    if(e.code!=='Space'&&e.key!=='Enter')return;
+    if(state!=='wait'&&state!=='ready'&&state!=='penalty')return;
+    e.preventDefault();trigger(false);
+  });
+  modeSelect.onchange=roundsSelect.onchange=applyOptions;
+  new MutationObserver(()=>{if(!reactionPanel.classList.contains('show'))abort()}).observe(reactionPanel,{attributes:true,attributeFilter:['class']});
+  results.addEventListener('click',e=>{
+    const btn=e.target.closest('[data-share]');
+    if(!btn||!last)return;
+    btn.dataset.share==='image'?downloadCard():shareResult();
+  });
+  board.addEventListener('click',e=>{
+    if(!e.target.closest('[data-clear-history]'))return;
+    try{localStorage.removeItem(HISTORY_KEY)}catch(_){}
+    renderBoard();
+  });
+  onLangChange(()=>{
+    renderArea();updateStats();renderResults();renderBoard();
+  });
+
+  applyOptions();
+})();
@@ -0,0 +1,126 @@
+// Mouse hassasiyeti: eDPI ve cm/360 hesabi, oyunlar arasi donusum ve Mouse grubuna baglanan hesaplayici.
+// Donusumler 360 derecelik donus mesafesini korur: sens * yaw * dpi sabit kalir.
+const Sens=(()=>{
+  const mouse=PIFO_DATA.cs2.groups.find(g=>g.id==='mouse').items;
+  const base=id=>Number(mouse.find(it=>it.id===id).value);
+  const PIFO={dpi:base('dpi'),sens:base('sens'),yaw:base('yaw'),zoom:base('zoomSens')};
+  const GAMES={
+    cs2:{name:'CS2',yaw:PIFO.yaw,digits:3,zoom:'zoom_sensitivity_ratio'},
+    csgo:{name:'CS:GO',yaw:.022,digits:3,zoom:'zoom_sensitivity_ratio_mouse'},
+    valorant:{name:'Valorant',yaw:.07,digits:3},
+    apex:{name:'Apex Legends',yaw:.022,digits:2},
+    overwatch:{name:'Overwatch 2',yaw:.0066,digits:2}
+  };
+
+  const fmt=(n,digits=2)=>String(+n.toFixed(digits));
+  const edpi=(dpi,sens)=>dpi*sens;
+  const cm360=(dpi,sens,yaw=PIFO.yaw)=>360/(dpi*sens*yaw)*2.54;
+
+  // from oyunundaki sens'i, to oyununda ayni cm/360'i veren sens'e cevirir; DPI degisiyorsa toDpi verilir.
+  function convert(sens,from,to,dpi=1,toDpi=dpi){
+    return sens*GAMES[from].yaw*dpi/(GAMES[to].yaw*toDpi);
+  }
+
+  // data.js'te "calc" alani olan ayarlarin gosterilecek degerleri.
+  function derived(){
+    return {edpi:fmt(edpi(PIFO.dpi,PIFO.sens)),cm360:fmt(cm360(PIFO.dpi,PIFO.sens))+' cm'};
+  }
+
+  function fill(root=document){
+    const values=derived();
+    root.querySelectorAll('[data-calc]').forEach(el=>el.textContent=values[el.dataset.calc]??'—');
+  }
+
+  return {PIFO,GAMES,fmt,edpi,cm360,convert,derived,fill};
+})();
+
+// Mouse grubuna hesaplayici baglanir; girilen degerler dil degisip panel yeniden cizildiginde korunur.
+(()=>{
+  const FIELDS=['sens','dpi','zoom','target'];
+  let state={game:'cs2',sens:Sens.PIFO.sens,dpi:Sens.PIFO.dpi,zoom:Sens.PIFO.zoom,target:800};
+
+  const num=v=>Number(String(v).trim().replace(',','.'));
+  const hasZoom=()=>!!Sens.GAMES[state.game].zoom;
+  const valid=()=>state.sens>0&&state.dpi>0&&state.target>0&&(!hasZoom()||state.zoom>=0);
+
+  function group(){return document.querySelector('#cs2Panel [data-group="mouse"]')}
+
+  // Zoom orani sadece CS2 ile CS:GO arasinda tasinir (ikisi de ayni olcek, 1:1); diger oyunlarin nisan hassasiyeti FOV'a bagli oldugu icin donusturulmez.
+  function lines(){
+    const cm=Sens.fmt(Sens.cm360(state.dpi,state.sens,Sens.GAMES[state.game].yaw));
+    return Object.entries(Sens.GAMES).map(([id,game])=>{
+      const sens=Sens.fmt(Sens.convert(state.sens,state.game,id,state.dpi,state.target),game.digits);
+      return t('sensLine',{game:game.name,sens,dpi:state.target,cm})+(game.zoom&&hasZoom()?t('sensZoomLine',{cvar:game.zoom,zoom:Sens.fmt(state.zoom)}):'');
+    });
+  }
+
+  function markup(){
+    const field=(key,label)=>`<label class="sens-field"><span>${t(label)}</span><input type="text" inputmode="decimal" data-sens="${key}" autocomplete="off" spellcheck="false"></label>`;
+    return `
+      <div class="sens-calc">
+        <div class="sens-calc-head"><h4>${t('sensCalcTitle')}</h4><p>${t('sensNote')}</p></div>
+        <div class="sens-fields">
+          <label class="sens-field"><span>${t('sensGame')}</span><select data-sens="game">${Object.entries(Sens.GAMES).map(([id,g])=>`<option value="${id}">${g.name}</option>`).join('')}</select></label>
+          ${field('sens','sensValue')}${field('dpi','sensDpi')}${field('zoom','sensZoom')}${field('target','sensTarget')}
+        </div>
+        <div class="sens-summary" data-sens="summary"></div>
+        <ul class="sens-lines" data-sens="lines"></ul>
+        <button class="copy-inline" type="button" data-sens-copy="all">${t('sensCopyAll')}</button>
+        <button class="copy-inline ghost" type="button" data-sens-reset>${t('sensReset')}</button>
+      </div>`;
+  }
+
+  function render(root){
+    const summary=root.querySelector('[data-sens="summary"]'),list=root.querySelector('[data-sens="lines"]');
+    root.querySelector('[data-sens-copy="all"]').disabled=!valid();
+    root.querySelector('[data-sens="zoom"]').closest('.sens-field').hidden=!hasZoom();
+    if(!valid()){
+      summary.innerHTML=`<p class="form-error" role="alert">${t('sensInvalid')}</p>`;list.innerHTML='';
+      return;
+    }
+    const yaw=Sens.GAMES[state.game].yaw,cs2=Sens.convert(state.sens,state.game,'cs2',state.dpi,state.target);
+    const tiles=[['sensCm360',Sens.fmt(Sens.cm360(state.dpi,state.sens,yaw))+' cm'],['sensInch360',Sens.fmt(Sens.cm360(state.dpi,state.sens,yaw)/2.54)+' in'],
+      ['sensEdpi',Sens.fmt(Sens.edpi(state.target,cs2))]];
+    summary.innerHTML=tiles.map(([k,v])=>`<div class="stat-tile"><span>${t(k)}</span><strong>${v}</strong></div>`).join('');
+    list.innerHTML=lines().map((line,i)=>`<li><span>${line}</span><button class="copy-inline ghost" type="button" data-sens-copy="${i}">${t('copy')}</button></li>`).join('');
+  }
+
+  function sync(){
+    const root=group();
+    if(!root)return;
+    root.querySelector('[data-sens="game"]').value=state.game;
+    FIELDS.forEach(k=>{const input=root.querySelector(`[data-sens="${k}"]`);if(document.activeElement!==input)input.value=state[k]});
+    render(root);
+  }
+
+  function onInput(e){
+    const key=e.target.dataset.sens;
+    if(!key)return;
+    state[key]=key==='game'?e.target.value:num(e.target.value);
+    render(group());
+  }
+
+  function onClick(e){
+    if(e.target.closest('[data-sens-reset]')){
+      state={game:'cs2',sens:Sens.PIFO.sens,dpi:Sens.PIFO.dpi,zoom:Sens.PIFO.zoom,target:state.target};
+      return sync();
+    }
+    const btn=e.target.closest('[data-sens-copy]');
+    if(!btn||!valid())return;
+    const all=lines();
+    copyText(btn.dataset.sensCopy==='all'?all.join('\n'):all[+btn.dataset.sensCopy]);
+  }
+
+  function mount(){
+    Sens.fill();
+    const root=group();
+    if(!root)return;
+    root.insertAdjacentHTML('beforeend',markup());
+    const calc=root.querySelector('.sens-calc');
+    calc.addEventListener('input',onInput);calc.addEventListener('change',onInput);calc.addEventListener('click',onClick);
+    sync();
+  }
+
+  mount();
+  onLangChange(mount);
+})();
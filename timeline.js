@@ -0,0 +1,103 @@
+// Ataturk paneli zaman cizelgesi: donem atlama, yil seridi, kategori filtresi, aksan duyarsiz arama ve klavye ile gezinme.
+// Panel her yeniden cizildiginde mount() tekrar calisir; secili filtre ve arama metni korunur.
+(()=>{
+  const data=PIFO_DATA.ataturk;
+  let category='',query='',observer=null;
+
+  // "istiklal" ile "İstiklâl" eslessin diye: Turkce kucuk harf, aksanlari at, Turkce harfleri ASCII'ye indir.
+  const FOLD={ı:'i',ş:'s',ğ:'g',ç:'c',ö:'o',ü:'u'};
+  const fold=s=>String(s).toLocaleLowerCase('tr').normalize('NFD').replace(/[\u0300-\u036f]/g,'').replace(/[ışğçöü]/g,c=>FOLD[c]);
+  const yearOf=fact=>(String(loc(fact.year)).match(/\d{4}/)||[''])[0];
+
+  function panel(){return document.getElementById('ataturkPanel')}
+
+  function markup(){
+    return `
+    <div class="timeline-bar">
+      <div class="timeline-eras" role="group" aria-label="${t('timelineEras')}">${data.eras.map(era=>`<button type="button" data-era="${era.id}">${esc(era.title)}</button>`).join('')}</div>
+      <div class="timeline-track" role="group" aria-label="${t('timelineYears')}">${data.facts.map((f,i)=>`<button type="button" data-jump="${i}" title="${esc(f.title)}">${yearOf(f)}</button>`).join('')}</div>
+      <div class="timeline-tools">
+        <div class="timeline-filters" role="group" aria-label="${t('timelineFilter')}">${[{id:'',title:t('timelineAll')},...data.categories].map(c=>`<button type="button" data-cat="${c.id}" aria-pressed="${c.id===category}">${esc(c.title)}</button>`).join('')}</div>
+        <input type="search" class="timeline-search" data-timeline="search" placeholder="${t('timelineSearch')}" aria-label="${t('timelineSearch')}" autocomplete="off">
+      </div>
+      <p class="timeline-status" data-timeline="status" aria-live="polite"></p>
+    </div>`;
+  }
+
+  function facts(root){return [...root.querySelectorAll('.ataturk-fact')]}
+  function visibleFacts(root){return facts(root).filter(f=>!f.hidden)}
+
+  function apply(root){
+    const q=fold(query.trim());
+    const match=el=>!q||fold(el.textContent).includes(q);
+    let shown=0;
+    facts(root).forEach((el,i)=>{
+      el.hidden=!(match(el)&&(!category||el.dataset.cats.split(' ').includes(category)));
+      root.querySelector(`[data-jump="${i}"]`).hidden=el.hidden;
+      if(!el.hidden)shown++;
+    });
+    // Konu kartlari ve belgelerin kategorisi yok; kategori secilince gizlenir, sadece arama ile eslesir.
+    root.querySelectorAll('.ataturk-topic,.document-block').forEach(el=>{el.hidden=!!category||!match(el);if(!el.hidden)shown++});
+    root.querySelectorAll('[data-cat]').forEach(b=>b.setAttribute('aria-pressed',b.dataset.cat===category));
+    root.querySelectorAll('.timeline-eras [data-era]').forEach(b=>b.disabled=!visibleFacts(root).some(f=>f.dataset.era===b.dataset.era));
+    root.querySelector('[data-timeline="status"]').textContent=q||category?(shown?t('timelineResults',{n:shown}):t('timelineEmpty')):'';
+  }
+
+  function setActive(root,fact){
+    facts(root).forEach(f=>f.classList.toggle('active',f===fact));
+    root.querySelectorAll('[data-jump]').forEach(b=>b.toggleAttribute('aria-current',b.dataset.jump===fact.id.slice(5)));
+    root.querySelectorAll('.timeline-eras [data-era]').forEach(b=>b.classList.toggle('active',b.dataset.era===fact.dataset.era));
+    const btn=root.querySelector(`[data-jump="${fact.id.slice(5)}"]`);
+    if(btn)btn.parentElement.scrollLeft=btn.offsetLeft-btn.parentElement.clientWidth/2;
+  }
+
+  function jump(root,fact){
+    if(!fact)return;
+    const reduced=window.matchMedia&&matchMedia('(prefers-reduced-motion: reduce)').matches;
+    fact.focus({preventScroll:true});
+    fact.scrollIntoView({behavior:reduced?'auto':'smooth',block:'center'});
+    setActive(root,fact);
+  }
+
+  function observe(root){
+    if(observer)observer.disconnect();
+    if(!('IntersectionObserver' in window))return;
+    observer=new IntersectionObserver(entries=>{
+      const seen=entries.filter(e=>e.isIntersecting&&!e.target.hidden);
+      if(seen.length)setActive(root,seen[0].target);
+    },{root:document.getElementById('overlay'),rootMargin:'-35% 0px -55% 0px'});
+    facts(root).forEach(f=>observer.observe(f));
+  }
+
+  function onClick(e){
+    const root=panel(),era=e.target.closest('.timeline-eras [data-era]'),step=e.target.closest('[data-jump]'),cat=e.target.closest('[data-cat]');
+    if(era)jump(root,visibleFacts(root).find(f=>f.dataset.era===era.dataset.era));
+    else if(step)jump(root,document.getElementById('fact-'+step.dataset.jump));
+    else if(cat){category=cat.dataset.cat;apply(root)}
+  }
+
+  // Yon tuslari gorunur maddeler arasinda gezer; Home/End ilk ve son maddeye gider.
+  function onKey(e){
+    const root=panel(),fact=e.target.closest('.ataturk-fact');
+    if(!fact||e.altKey||e.ctrlKey||e.metaKey)return;
+    const list=visibleFacts(root),i=list.indexOf(fact);
+    const next={ArrowDown:i+1,ArrowRight:i+1,j:i+1,ArrowUp:i-1,ArrowLeft:i-1,k:i-1,Home:0,End:list.length-1}[e.key];
+    if(next==null||!list[next])return;
+    e.preventDefault();jump(root,list[next]);
+  }
+
+  function mount(){
+    const root=panel();
+    if(!root)return;
+    root.querySelector('.ataturk-facts').insertAdjacentHTML('beforebegin',markup());
+    const search=root.querySelector('[data-timeline="search"]');
+    search.value=query;
+    search.addEventListener('input',()=>{query=search.value;apply(root)});
+    root.querySelector('.timeline-bar').addEventListener('click',onClick);
+    root.querySelector('.ataturk-facts').addEventListener('keydown',onKey);
+    apply(root);observe(root);
+  }
+
+  mount();
+  onLangChange(mount);
+})();